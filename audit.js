@@ -0,0 +1,287 @@
+/**
+ * Audit Trail
+ * Every logActivity() call is also appended to a permanent audit store, one key per
+ * UTC day (`audit_log_YYYY-MM-DD`). Entries are never edited or dropped. Each one
+ * carries a sequence number and a SHA-256 hash of its content chained to the previous
+ * entry's hash, so verifyAuditChain() can prove nothing was altered or removed later.
+ * The capped `activity_log` stays as the recent-activity feed for dashboards.
+ *
+ * Entries record the actor, the request they came from (IP, user agent, method, path)
+ * and, when the caller passes the record before and after a change, a field-level diff.
+ * Secrets (passwords, MFA secrets, tokens) are never written; signatures and other
+ * data URLs are reduced to a placeholder.
+ */
+
+const crypto = require('crypto');
+const { csvCell } = require('./csv');
+
+const AUDIT_LOG_PREFIX = 'audit_log_';
+
+// Field names whose values never reach the audit store (matched case-insensitively)
+const REDACTED_FIELD_PATTERN = /^(password|passwordHash|mfa|secret|pendingSecret|clientSecret|token|refreshToken|refreshTokenHash|previousRefreshTokenHash|recoveryCodes)$/i;
+// Bookkeeping fields every write touches; a diff of only these is noise
+const IGNORED_DIFF_FIELDS = ['updatedAt', 'revision'];
+const MAX_VALUE_LENGTH = 500;
+
+const CSV_COLUMNS = [
+  'sequence', 'timestamp', 'userId', 'userName', 'actorEmail', 'actorRole', 'action',
+  'entityType', 'entityId', 'projectId', 'ip', 'userAgent', 'method', 'path', 'changes', 'details', 'hash'
+];
+
+/**
+ * Storage key of the day segment an entry belongs to
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string}
+ */
+const auditDayKey = (timestamp) => `${AUDIT_LOG_PREFIX}${String(timestamp).slice(0, 10)}`;
+
+// Values as they may appear in the audit store: secrets removed, large blobs shortened
+const sanitizeAuditValue = (value, fieldName = '') => {
+  if (fieldName && REDACTED_FIELD_PATTERN.test(fieldName)) {
+    return value === undefined || value === null || value === '' ? value : '[redacted]';
+  }
+  if (typeof value === 'string') {
+    if (value.startsWith('data:')) return `[${value.slice(5, value.indexOf(';') > 0 ? value.indexOf(';') : 20)} data, ${value.length} chars]`;
+    return value.length > MAX_VALUE_LENGTH ? `${value.slice(0, MAX_VALUE_LENGTH)}… (${value.length} chars)` : value;
+  }
+  if (Array.isArray(value)) {
+    const items = value.map(item => sanitizeAuditValue(item));
+    return JSON.stringify(items).length > MAX_VALUE_LENGTH * 4 ? `[${value.length} items]` : items;
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, sanitizeAuditValue(v, key)]));
+  }
+  return value;
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Field-level differences between two versions of a record (top-level fields only;
+ * nested objects and arrays are compared as a whole)
+ * @param {Object|null} before - Record before the change (null when created)
+ * @param {Object|null} after - Record after the change (null when deleted)
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+const diffRecords = (before, after) => {
+  const previous = before || {};
+  const next = after || {};
+  const fields = [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+    .filter(field => !IGNORED_DIFF_FIELDS.includes(field))
+    .sort();
+  const changes = [];
+  for (const field of fields) {
+    if (sameValue(previous[field], next[field])) continue;
+    changes.push({
+      field,
+      before: previous[field] === undefined ? null : sanitizeAuditValue(previous[field], field),
+      after: next[field] === undefined ? null : sanitizeAuditValue(next[field], field)
+    });
+  }
+  return changes;
+};
+
+// JSON with object keys sorted at every level, so hashes do not depend on key order
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Hash of an entry's content (everything except `hash` itself) chained to the previous hash
+ * @param {Object} entry
+ * @returns {string} hex SHA-256
+ */
+const hashAuditEntry = (entry) => {
+  const { hash, ...content } = entry;
+  return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+};
+
+/**
+ * Number an entry and link it into the chain
+ * @param {Object} entry - Activity fields (id, timestamp, userId, action, ...)
+ * @param {{sequence: number, lastHash: string|null}} head - Current chain head
+ * @returns {Object} The sealed entry
+ */
+const sealAuditEntry = (entry, head) => {
+  const sealed = {
+    ...entry,
+    details: sanitizeAuditValue(entry.details ?? null),
+    sequence: (head.sequence || 0) + 1,
+    prevHash: head.lastHash || null
+  };
+  sealed.hash = hashAuditEntry(sealed);
+  return sealed;
+};
+
+/**
+ * Check that entries (oldest first) are unbroken: consecutive sequence numbers,
+ * each prevHash matching the entry before it and each hash matching its content
+ * @param {Array} entries
+ * @param {{sequence: number, hash: string|null}|null} [after] - Entry the first one must follow,
+ *   when the chain is checked a piece at a time ({ sequence: 0, hash: null } for the very start)
+ * @returns {{valid: boolean, checked: number, lastSequence: number, last: Object|null, problem?: {sequence, id, reason}}}
+ */
+const verifyAuditChain = (entries, after = null) => {
+  let previous = after;
+  for (const entry of entries) {
+    const fail = (reason) => ({
+      valid: false,
+      checked: previous ? previous.sequence : 0,
+      lastSequence: previous ? previous.sequence : 0,
+      problem: { sequence: entry.sequence, id: entry.id, reason }
+    });
+    const expectedSequence = previous ? previous.sequence + 1 : entry.sequence;
+    if (entry.sequence !== expectedSequence) return fail(`Expected entry #${expectedSequence}; entries are missing or out of order`);
+    if ((entry.prevHash || null) !== (previous ? previous.hash : entry.prevHash || null)) return fail('Link to the previous entry does not match');
+    if (hashAuditEntry(entry) !== entry.hash) return fail('Entry content does not match its hash');
+    previous = entry;
+  }
+  return {
+    valid: true,
+    checked: entries.length,
+    lastSequence: previous ? previous.sequence : 0,
+    last: previous ? { sequence: previous.sequence, hash: previous.hash } : null
+  };
+};
+
+/**
+ * Verify the chain one day segment at a time (oldest first), carrying the last verified entry
+ * forward, so the whole trail never sits in memory. An entry stamped just before midnight can be
+ * sealed after the first entries of the next day and land in the earlier segment, so entries
+ * ahead of a gap wait for one more segment before the gap counts as missing entries.
+ * @returns {{add: Function, finish: Function}} add(segmentEntries) returns the failed result
+ *   (or null to keep going); finish() returns the verifyAuditChain() result for the whole chain
+ */
+const createAuditChainVerifier = () => {
+  let last = { sequence: 0, hash: null };
+  let waiting = [];
+  let failure = null;
+  const add = (segment) => {
+    if (failure) return failure;
+    const entries = [...waiting, ...segment].sort((a, b) => a.sequence - b.sequence);
+    let ready = 0;
+    while (ready < entries.length && entries[ready].sequence === last.sequence + 1 + ready) ready++;
+    // Entries carried over have had their segment of grace; if they still don't connect, check everything
+    const carriedUntil = waiting.length > 0 ? waiting[waiting.length - 1].sequence : 0;
+    if (ready === 0 ? carriedUntil > 0 : entries[ready - 1].sequence < carriedUntil) ready = entries.length;
+    const result = verifyAuditChain(entries.slice(0, ready), last);
+    if (!result.valid) {
+      failure = result;
+      return failure;
+    }
+    if (result.last) last = result.last;
+    waiting = entries.slice(ready);
+    return null;
+  };
+  return {
+    add,
+    finish: () => add([]) || { valid: true, checked: last.sequence, lastSequence: last.sequence, last }
+  };
+};
+
+const parseDateBound = (value, endOfDay) => {
+  const text = String(value).trim();
+  // A bare date covers the whole day
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(text)
+    ? new Date(`${text}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`)
+    : new Date(text);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Read audit filters from a query string
+ * @param {Object} query - { entityType, entityId, projectId, userId, action, from, to, q }
+ * @returns {{filter: Object}|{error: string}}
+ */
+const parseAuditFilter = (query = {}) => {
+  const filter = {};
+  for (const key of ['entityType', 'entityId', 'projectId', 'userId', 'action']) {
+    if (query[key] !== undefined && String(query[key]).trim() !== '') filter[key] = String(query[key]).trim();
+  }
+  if (query.from) {
+    filter.from = parseDateBound(query.from, false);
+    if (!filter.from) return { error: 'from must be a date (YYYY-MM-DD) or ISO timestamp' };
+  }
+  if (query.to) {
+    filter.to = parseDateBound(query.to, true);
+    if (!filter.to) return { error: 'to must be a date (YYYY-MM-DD) or ISO timestamp' };
+  }
+  if (filter.from && filter.to && filter.from > filter.to) return { error: 'from must be before to' };
+  if (query.q && String(query.q).trim()) filter.q = String(query.q).trim().toLowerCase();
+  return { filter };
+};
+
+/**
+ * Day segment keys that can hold entries inside the filter's date range, newest first
+ * @param {string[]} keys - Keys listed under AUDIT_LOG_PREFIX
+ * @param {Object} filter - Output of parseAuditFilter()
+ * @returns {string[]}
+ */
+const auditKeysInRange = (keys, filter = {}) => keys
+  .filter(key => /^audit_log_\d{4}-\d{2}-\d{2}$/.test(key))
+  .filter(key => {
+    const day = key.slice(AUDIT_LOG_PREFIX.length);
+    if (filter.from && day < filter.from.slice(0, 10)) return false;
+    if (filter.to && day > filter.to.slice(0, 10)) return false;
+    return true;
+  })
+  .sort()
+  .reverse();
+
+/**
+ * @param {Object} entry
+ * @param {Object} filter - Output of parseAuditFilter()
+ * @returns {boolean}
+ */
+const matchesAuditFilter = (entry, filter = {}) => {
+  for (const key of ['entityType', 'entityId', 'projectId', 'userId', 'action']) {
+    if (filter[key] !== undefined && String(entry[key] ?? '') !== filter[key]) return false;
+  }
+  if (filter.from && entry.timestamp < filter.from) return false;
+  if (filter.to && entry.timestamp > filter.to) return false;
+  if (filter.q) {
+    const haystack = [entry.userName, entry.actorEmail, entry.action, entry.entityId, JSON.stringify(entry.details ?? '')]
+      .join(' ').toLowerCase();
+    if (!haystack.includes(filter.q)) return false;
+  }
+  return true;
+};
+
+const describeChanges = (changes) => (changes || [])
+  .map(c => `${c.field}: ${c.before === null ? '(none)' : JSON.stringify(c.before)} -> ${c.after === null ? '(none)' : JSON.stringify(c.after)}`)
+  .join('; ');
+
+/**
+ * CSV of audit entries, one row per entry
+ * @param {Array} entries
+ * @returns {string}
+ */
+const auditEntriesToCsv = (entries) => {
+  const rows = entries.map(entry => CSV_COLUMNS.map(column => {
+    if (column === 'changes') return csvCell(describeChanges(entry.changes));
+    if (['ip', 'userAgent', 'method', 'path'].includes(column)) return csvCell(entry.request && entry.request[column]);
+    return csvCell(entry[column]);
+  }).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+};
+
+module.exports = {
+  AUDIT_LOG_PREFIX,
+  auditDayKey,
+  sanitizeAuditValue,
+  diffRecords,
+  hashAuditEntry,
+  sealAuditEntry,
+  verifyAuditChain,
+  createAuditChainVerifier,
+  parseAuditFilter,
+  auditKeysInRange,
+  matchesAuditFilter,
+  auditEntriesToCsv
+};
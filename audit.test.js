@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sealAuditEntry, createAuditChainVerifier } = require('./audit');
+
+// A sealed chain of `count` entries
+const chain = (count) => {
+  const entries = [];
+  let head = { sequence: 0, lastHash: null };
+  for (let n = 1; n <= count; n++) {
+    const entry = sealAuditEntry({ id: `e${n}`, action: 'test', details: { n } }, head);
+    entries.push(entry);
+    head = { sequence: entry.sequence, lastHash: entry.hash };
+  }
+  return entries;
+};
+
+const verify = (segments) => {
+  const verifier = createAuditChainVerifier();
+  for (const segment of segments) {
+    if (verifier.add(segment)) break;
+  }
+  return verifier.finish();
+};
+
+test('verifies a chain segment by segment', () => {
+  const entries = chain(6);
+  const result = verify([entries.slice(0, 2), entries.slice(2, 5), entries.slice(5)]);
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.lastSequence, 6);
+  assert.strictEqual(result.last.hash, entries[5].hash);
+});
+
+test('accepts an entry sealed into the previous day after the next day started', () => {
+  const [e1, e2, e3, e4] = chain(4);
+  assert.strictEqual(verify([[e1, e3], [e2, e4]]).valid, true);
+});
+
+test('reports a missing entry', () => {
+  const [e1, e2, , e4, e5] = chain(5);
+  const result = verify([[e1, e2], [e4], [e5]]);
+  assert.strictEqual(result.valid, false);
+  assert.match(result.problem.reason, /Expected entry #3/);
+  assert.strictEqual(result.lastSequence, 2);
+});
+
+test('reports missing entries at the start of the chain', () => {
+  const [, e2, e3] = chain(3);
+  const result = verify([[e2, e3]]);
+  assert.strictEqual(result.valid, false);
+  assert.match(result.problem.reason, /Expected entry #1/);
+});
+
+test('reports an altered entry', () => {
+  const entries = chain(3);
+  entries[1] = { ...entries[1], action: 'edited' };
+  const result = verify([entries.slice(0, 1), entries.slice(1)]);
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.problem.sequence, 2);
+});
@@ -10,16 +10,69 @@
 
 // ---- Security & Auth ----
 const JWT_SECRET = process.env.JWT_SECRET || 'thrive365-secret-change-in-production';
-const JWT_EXPIRY = process.env.JWT_EXPIRY || '24h';
+// Access tokens are short-lived; clients renew them with a rotating refresh token (see user_sessions)
+const ACCESS_TOKEN_EXPIRY = process.env.ACCESS_TOKEN_EXPIRY || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10); // sliding, renewed on each refresh
+// Two tabs refreshing at once both present the same refresh token; only treat reuse as theft after this window
+const REFRESH_TOKEN_REUSE_GRACE_SECONDS = parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS || '30', 10);
 const BCRYPT_SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS || '10', 10);
 const MIN_PASSWORD_LENGTH = parseInt(process.env.MIN_PASSWORD_LENGTH || '8', 10);
 const PASSWORD_REGEX = /^(?=.*[A-Z])(?=.*[a-z])(?=.*\d)/; // uppercase + lowercase + number
+const MFA_ISSUER = process.env.MFA_ISSUER || 'Thrive 365 Labs'; // name shown in authenticator apps
+
+// ---- Password Reset ----
+const PASSWORD_RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES || '60', 10);
+const PASSWORD_RESET_RATE_WINDOW_MINUTES = parseInt(process.env.PASSWORD_RESET_RATE_WINDOW_MINUTES || '60', 10);
+const PASSWORD_RESET_MAX_PER_EMAIL = parseInt(process.env.PASSWORD_RESET_MAX_PER_EMAIL || '3', 10);
+const PASSWORD_RESET_MAX_PER_IP = parseInt(process.env.PASSWORD_RESET_MAX_PER_IP || '10', 10);
+
+// ---- User Invitations ----
+// New users choose their own password from a single-use invite link
+const INVITE_TOKEN_TTL_HOURS = parseInt(process.env.INVITE_TOKEN_TTL_HOURS || '72', 10);
+
+// ---- Login Protection ----
+// Failed sign-ins are counted per account (email) and per IP. After the "delay" threshold each
+// further attempt must wait 2s, 4s, 8s... (capped); at the "max" threshold the account or IP is
+// locked out. Repeat account lockouts double in length, up to LOGIN_LOCKOUT_MAX_MINUTES.
+const LOGIN_ATTEMPT_WINDOW_MINUTES = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || '15', 10);
+const LOGIN_DELAY_AFTER_FAILURES = parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES || '3', 10);
+const LOGIN_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || '5', 10);
+const LOGIN_IP_DELAY_AFTER_FAILURES = parseInt(process.env.LOGIN_IP_DELAY_AFTER_FAILURES || '10', 10);
+const LOGIN_MAX_FAILED_ATTEMPTS_PER_IP = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP || '30', 10);
+const LOGIN_MAX_DELAY_SECONDS = parseInt(process.env.LOGIN_MAX_DELAY_SECONDS || '30', 10);
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10);
+const LOGIN_LOCKOUT_MAX_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES || '1440', 10);
+
+// ---- Single Sign-On (OpenID Connect) ----
+// Providers, group mappings and SSO-only domains are configured in the admin hub (`sso_settings`).
+const SSO_STATE_TTL_MINUTES = parseInt(process.env.SSO_STATE_TTL_MINUTES || '10', 10); // time allowed at the IdP's login page
+// Callback URLs are built from the request's host unless this is set (e.g. https://thrive365labs.live)
+const SSO_REDIRECT_BASE_URL = (process.env.SSO_REDIRECT_BASE_URL || '').replace(/\/+$/, '');
+// Break-glass accounts that keep their password even when their domain requires SSO
+const SSO_LOCAL_LOGIN_EXEMPT_EMAILS = (process.env.SSO_LOCAL_LOGIN_EXEMPT_EMAILS || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+// Serves mock-idp.js at /mock-idp for local testing - never enable in production
+const SSO_MOCK_IDP_ENABLED = process.env.SSO_MOCK_IDP_ENABLED === 'true';
 
 // ---- Server ----
 const PORT = parseInt(process.env.PORT || '3000', 10);
 const BODY_PARSER_LIMIT = process.env.BODY_PARSER_LIMIT || '50mb';
 const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE || String(10 * 1024 * 1024), 10); // 10MB
 const MAX_CONCURRENT_UPLOADS = parseInt(process.env.MAX_CONCURRENT_UPLOADS || '5', 10);
+// Proxies whose X-Forwarded-For sets req.ip (Express 'trust proxy'): a hop count, or addresses/subnets
+// such as 'loopback, 10.0.0.0/8'. One hop on Replit (REPL_ID is set), otherwise off so clients can't
+// pick the IP that rate limits, lockouts and the audit trail see. 'false' turns it off.
+const TRUST_PROXY_SETTING = (process.env.TRUST_PROXY || (process.env.REPL_ID ? '1' : 'false')).trim();
+const TRUST_PROXY = /^\d+$/.test(TRUST_PROXY_SETTING)
+  ? parseInt(TRUST_PROXY_SETTING, 10)
+  : (TRUST_PROXY_SETTING && TRUST_PROXY_SETTING !== 'false' ? TRUST_PROXY_SETTING : false);
+
+// ---- Storage ----
+// 'replit' (Replit Database), 'file' (JSON files in STORAGE_FILE_DIR), 'memory', or 'auto'
+// 'auto' uses Replit Database when REPLIT_DB_URL is available, otherwise the file backend
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'auto';
+const STORAGE_FILE_DIR = process.env.STORAGE_FILE_DIR || './data';
+// Key prefixes whose whole-array writes carry a revision counter (optimistic concurrency)
+const STORAGE_VERSIONED_COLLECTIONS = Object.freeze(['tasks_', 'service_reports', 'inventory_submissions_']);
 
 // ---- Cache & Performance ----
 const USERS_CACHE_TTL = parseInt(process.env.USERS_CACHE_TTL || '5000', 10); // ms
@@ -27,8 +80,16 @@ const PROJECT_SLUG_CACHE_TTL = parseInt(process.env.PROJECT_SLUG_CACHE_TTL || '3
 
 // ---- Business Logic ----
 const ACTIVITY_LOG_MAX_ENTRIES = parseInt(process.env.ACTIVITY_LOG_MAX_ENTRIES || '500', 10);
+// The audit trail itself is never trimmed; this only caps one CSV export
+const AUDIT_EXPORT_MAX_ROWS = parseInt(process.env.AUDIT_EXPORT_MAX_ROWS || '50000', 10);
 const SERVICE_REPORT_EDIT_WINDOW_MINUTES = parseInt(process.env.SERVICE_REPORT_EDIT_WINDOW_MINUTES || '30', 10);
 const INVENTORY_EXPIRY_WARNING_DAYS = parseInt(process.env.INVENTORY_EXPIRY_WARNING_DAYS || '30', 10);
+// Reorder suggestions for items whose template entry sets no lead time or par level
+const INVENTORY_DEFAULT_LEAD_TIME_DAYS = parseInt(process.env.INVENTORY_DEFAULT_LEAD_TIME_DAYS || '14', 10);
+const INVENTORY_DEFAULT_PAR_WEEKS = parseInt(process.env.INVENTORY_DEFAULT_PAR_WEEKS || '4', 10);
+// 'block' rejects completing a task whose predecessors are still open; 'warn' allows it but reports them
+const TASK_DEPENDENCY_ENFORCEMENT = process.env.TASK_DEPENDENCY_ENFORCEMENT === 'warn' ? 'warn' : 'block';
+const FORECAST_VELOCITY_WINDOW_DAYS = parseInt(process.env.FORECAST_VELOCITY_WINDOW_DAYS || '28', 10);
 
 // ---- HubSpot Integration ----
 const HUBSPOT_POLL_INTERVAL_SECONDS = parseInt(process.env.HUBSPOT_POLL_INTERVAL_SECONDS || '60', 10);
@@ -63,6 +124,8 @@ const ROLES = Object.freeze({
   VENDOR: 'vendor'
 });
 const ALL_ROLES = Object.freeze([ROLES.ADMIN, ROLES.USER, ROLES.CLIENT, ROLES.VENDOR]);
+// Account types the admin hub can require two-factor authentication for ('manager' = users flagged isManager)
+const MFA_POLICY_ROLES = Object.freeze([ROLES.ADMIN, 'manager', ROLES.VENDOR, ROLES.USER]);
 
 // ---- Project & Task Statuses ----
 const PROJECT_STATUSES = Object.freeze(['active', 'paused', 'completed']);
@@ -84,6 +147,12 @@ const STANDARD_PHASES = Object.freeze({
 });
 const PHASE_ORDER = Object.freeze(['Phase 1', 'Phase 2', 'Phase 3', 'Phase 4', 'Phase 5', 'Phase 6', 'Phase 7', 'Phase 8', 'Phase 9', 'Phase 10']);
 
+// ---- Template Library ----
+// 'template' = full launch plan a project is created from; 'module' = task block stacked on top of one
+const TEMPLATE_KINDS = Object.freeze(['template', 'module']);
+const TEMPLATE_CERTIFICATION_TYPES = Object.freeze(['CLIA waived', 'CLIA moderate complexity', 'CLIA high complexity']);
+const TEMPLATE_LAB_SIZES = Object.freeze(['small', 'medium', 'large']);
+
 // ---- Legacy Stage-to-Phase Migration Map ----
 // Maps old stage names (pre-phase system) to current phase keys
 const LEGACY_STAGE_TO_PHASE = Object.freeze({
@@ -150,6 +219,10 @@ const NOTIFICATION_SCAN_INTERVAL_MINUTES = parseInt(process.env.NOTIFICATION_SCA
 const TASK_DEADLINE_DAYS_BEFORE = (process.env.TASK_DEADLINE_DAYS_BEFORE || '1,3,7').split(',').map(Number);
 const TASK_OVERDUE_ESCALATION_DAYS = parseInt(process.env.TASK_OVERDUE_ESCALATION_DAYS || '7', 10);
 const INVENTORY_REMINDER_DAYS = parseInt(process.env.INVENTORY_REMINDER_DAYS || '7', 10);
+// Clients are alerted as a lot on hand enters each window (days before expiry)
+const INVENTORY_EXPIRY_ALERT_DAYS = (process.env.INVENTORY_EXPIRY_ALERT_DAYS || '30,14,7').split(',').map(Number);
+// Day of the week the inventory alert digest goes out when alerts are delivered weekly (0 = Sunday)
+const INVENTORY_ALERT_DIGEST_DAY = parseInt(process.env.INVENTORY_ALERT_DIGEST_DAY || '1', 10);
 const SERVICE_REPORT_FOLLOWUP_DAYS = parseInt(process.env.SERVICE_REPORT_FOLLOWUP_DAYS || '3', 10);
 const MILESTONE_THRESHOLDS = (process.env.MILESTONE_THRESHOLDS || '25,50,75,100').split(',').map(Number);
 const GOLIVE_REMINDER_DAYS_BEFORE = (process.env.GOLIVE_REMINDER_DAYS_BEFORE || '7,14,30').split(',').map(Number);
@@ -162,6 +235,9 @@ const NOTIFICATION_COOLDOWN_HOURS = Object.freeze({
   task_overdue:               20,   // at most once per day per task
   task_overdue_escalation:    20,   // at most once per day per task (admin escalation)
   inventory_reminder:         144,  // at most once per 6 days per client
+  inventory_expiry_alert:     0,    // once per lot per window (tracked in inventory_alerts_sent_<slug>)
+  inventory_below_par_alert:  0,    // once each time an item drops below par (same tracking)
+  inventory_alert_digest:     144,  // weekly
   service_report_signature:   20,   // at most once per day per report
   service_report_review:      20,   // at most once per day per report
   golive_reminder:            20,   // at most once per day per project
@@ -185,6 +261,8 @@ function getPublicConfig() {
     projectStatuses: PROJECT_STATUSES,
     subtaskStatuses: SUBTASK_STATUSES,
     roles: ALL_ROLES,
+    templateCertificationTypes: TEMPLATE_CERTIFICATION_TYPES,
+    templateLabSizes: TEMPLATE_LAB_SIZES,
     serviceTypes: Object.values(SERVICE_TYPE_MAP).filter((v, i, a) => a.indexOf(v) === i),
     inventoryExpiryWarningDays: INVENTORY_EXPIRY_WARNING_DAYS
   };
@@ -193,22 +271,56 @@ function getPublicConfig() {
 module.exports = {
   // Security
   JWT_SECRET,
-  JWT_EXPIRY,
+  ACCESS_TOKEN_EXPIRY,
+  REFRESH_TOKEN_TTL_DAYS,
+  REFRESH_TOKEN_REUSE_GRACE_SECONDS,
   BCRYPT_SALT_ROUNDS,
   MIN_PASSWORD_LENGTH,
   PASSWORD_REGEX,
+  MFA_ISSUER,
+  // Password Reset
+  PASSWORD_RESET_TOKEN_TTL_MINUTES,
+  PASSWORD_RESET_RATE_WINDOW_MINUTES,
+  PASSWORD_RESET_MAX_PER_EMAIL,
+  PASSWORD_RESET_MAX_PER_IP,
+  // User Invitations
+  INVITE_TOKEN_TTL_HOURS,
+  // Login Protection
+  LOGIN_ATTEMPT_WINDOW_MINUTES,
+  LOGIN_DELAY_AFTER_FAILURES,
+  LOGIN_MAX_FAILED_ATTEMPTS,
+  LOGIN_IP_DELAY_AFTER_FAILURES,
+  LOGIN_MAX_FAILED_ATTEMPTS_PER_IP,
+  LOGIN_MAX_DELAY_SECONDS,
+  LOGIN_LOCKOUT_MINUTES,
+  LOGIN_LOCKOUT_MAX_MINUTES,
+  // Single Sign-On
+  SSO_STATE_TTL_MINUTES,
+  SSO_REDIRECT_BASE_URL,
+  SSO_LOCAL_LOGIN_EXEMPT_EMAILS,
+  SSO_MOCK_IDP_ENABLED,
   // Server
   PORT,
   BODY_PARSER_LIMIT,
   MAX_FILE_SIZE,
   MAX_CONCURRENT_UPLOADS,
+  TRUST_PROXY,
+  // Storage
+  STORAGE_BACKEND,
+  STORAGE_FILE_DIR,
+  STORAGE_VERSIONED_COLLECTIONS,
   // Cache
   USERS_CACHE_TTL,
   PROJECT_SLUG_CACHE_TTL,
   // Business logic
   ACTIVITY_LOG_MAX_ENTRIES,
+  AUDIT_EXPORT_MAX_ROWS,
   SERVICE_REPORT_EDIT_WINDOW_MINUTES,
   INVENTORY_EXPIRY_WARNING_DAYS,
+  INVENTORY_DEFAULT_LEAD_TIME_DAYS,
+  INVENTORY_DEFAULT_PAR_WEEKS,
+  TASK_DEPENDENCY_ENFORCEMENT,
+  FORECAST_VELOCITY_WINDOW_DAYS,
   // HubSpot
   HUBSPOT_POLL_INTERVAL_SECONDS,
   HUBSPOT_POLL_MIN_SECONDS,
@@ -219,6 +331,7 @@ module.exports = {
   // Roles
   ROLES,
   ALL_ROLES,
+  MFA_POLICY_ROLES,
   // Statuses
   PROJECT_STATUSES,
   SUBTASK_STATUSES,
@@ -227,6 +340,10 @@ module.exports = {
   STANDARD_PHASES,
   PHASE_ORDER,
   LEGACY_STAGE_TO_PHASE,
+  // Template Library
+  TEMPLATE_KINDS,
+  TEMPLATE_CERTIFICATION_TYPES,
+  TEMPLATE_LAB_SIZES,
   // Brand
   BRAND,
   // Inventory
@@ -246,6 +363,8 @@ module.exports = {
   TASK_DEADLINE_DAYS_BEFORE,
   TASK_OVERDUE_ESCALATION_DAYS,
   INVENTORY_REMINDER_DAYS,
+  INVENTORY_EXPIRY_ALERT_DAYS,
+  INVENTORY_ALERT_DIGEST_DAY,
   SERVICE_REPORT_FOLLOWUP_DAYS,
   MILESTONE_THRESHOLDS,
   GOLIVE_REMINDER_DAYS_BEFORE,
@@ -0,0 +1,21 @@
+/**
+ * CSV Export Helpers
+ * Cells for the CSV files the app hands out (audit export, purchase order drafts).
+ */
+
+/**
+ * One CSV cell, always quoted; objects are written as JSON
+ * @param {*} value
+ * @returns {string}
+ */
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Leading = + - @ would run as a formula when the file is opened in a spreadsheet
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return `"${safe.replace(/"/g, '""')}"`;
+};
+
+module.exports = {
+  csvCell
+};
@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 /**
  * Database Inspector Tool
- * Quick tool for inspecting Replit Database contents
+ * Quick tool for inspecting the app's key-value store (Replit Database or local file store)
  *
  * Usage:
  *   node debug-db.js                    # List all keys
@@ -10,8 +10,9 @@
  *   node debug-db.js --search email@example.com  # Search for value
  */
 
-const Database = require('@replit/database');
-const db = new Database();
+const config = require('./config');
+const { createStorage } = require('./storage');
+const db = createStorage({ backend: config.STORAGE_BACKEND, fileDir: config.STORAGE_FILE_DIR });
 
 // ANSI color codes for pretty output
 const colors = {
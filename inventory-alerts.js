@@ -0,0 +1,150 @@
+/**
+ * Inventory Alerts
+ * Which lots and items a client should hear about: lots on hand that expire within one of the
+ * configured windows (e.g. 30, 14 and 7 days) and items whose stock is below the par level set
+ * in the inventory template.
+ *
+ * Immediate alerts go out once per lot per window and once each time an item drops below par.
+ * What has been sent is kept per client in `inventory_alerts_sent_<slug>`:
+ *   { expiry: { "<lot key>": <smallest window alerted> }, belowPar: { "<item key>": <ISO date> } }
+ * Lots that leave stock and items back at par are dropped from it, so they alert again next time.
+ * The weekly digest lists everything current and needs no state.
+ */
+
+const INVENTORY_ALERTS_SENT_PREFIX = 'inventory_alerts_sent_';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The smallest window a lot falls in
+ * @param {number} daysUntilExpiry
+ * @param {number[]} windows - Days, any order
+ * @returns {number|null} null when the lot is outside every window
+ */
+const expiryWindowFor = (daysUntilExpiry, windows) => {
+  const inside = windows.filter(w => daysUntilExpiry <= w);
+  return inside.length ? Math.min(...inside) : null;
+};
+
+/**
+ * Current alerts for one client
+ * @param {Object} params
+ * @param {Array} params.lots - replayLedger().lots
+ * @param {Array} params.template - Inventory template with reorder settings (parLevel)
+ * @param {number[]} params.windows - Expiry windows in days
+ * @param {Date} [params.today]
+ * @returns {{expiring: Array<{lotKey, itemKey, category, itemName, lotNumber, expiry, quantity, daysUntilExpiry, window}>,
+ *   belowPar: Array<{itemKey, category, itemName, currentQty, parLevel}>}}
+ */
+const collectInventoryAlerts = ({ lots, template, windows, today = new Date() }) => {
+  const startOfToday = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const expiring = [];
+  const stockByItem = new Map();
+  for (const lot of lots || []) {
+    if (lot.balance <= 0) continue;
+    const item = stockByItem.get(lot.itemKey) || { itemKey: lot.itemKey, category: lot.category, itemName: lot.itemName, currentQty: 0 };
+    item.currentQty += lot.balance;
+    stockByItem.set(lot.itemKey, item);
+
+    if (!lot.expiry) continue;
+    const expiryDate = new Date(lot.expiry);
+    if (isNaN(expiryDate.getTime())) continue;
+    const daysUntilExpiry = Math.ceil((expiryDate - startOfToday) / DAY_MS);
+    // Lots already past expiry are reported by the inventory report, not alerted on
+    if (daysUntilExpiry < 0) continue;
+    const window = expiryWindowFor(daysUntilExpiry, windows);
+    if (window === null) continue;
+    expiring.push({
+      lotKey: lot.key,
+      itemKey: lot.itemKey,
+      category: lot.category,
+      itemName: lot.itemName,
+      lotNumber: lot.lotNumber,
+      expiry: lot.expiry,
+      quantity: lot.balance,
+      daysUntilExpiry,
+      window
+    });
+  }
+
+  // Items the client has stocked at some point, including those now at zero
+  for (const lot of lots || []) {
+    if (!stockByItem.has(lot.itemKey)) {
+      stockByItem.set(lot.itemKey, { itemKey: lot.itemKey, category: lot.category, itemName: lot.itemName, currentQty: 0 });
+    }
+  }
+  const belowPar = [];
+  for (const category of template || []) {
+    for (const [itemName, settings] of Object.entries((category && category.reorder) || {})) {
+      const item = stockByItem.get(`${category.category}|${itemName}`);
+      if (!item || !settings.parLevel || item.currentQty >= settings.parLevel) continue;
+      belowPar.push({ ...item, parLevel: settings.parLevel });
+    }
+  }
+
+  return {
+    expiring: expiring.sort((a, b) => a.daysUntilExpiry - b.daysUntilExpiry || a.itemName.localeCompare(b.itemName)),
+    belowPar: belowPar.sort((a, b) => a.category.localeCompare(b.category) || a.itemName.localeCompare(b.itemName))
+  };
+};
+
+/**
+ * Alerts not yet sent, and the sent state to save once they are queued
+ * @param {Object} alerts - collectInventoryAlerts() output
+ * @param {Object} sent - Stored state ({ expiry, belowPar }), may be null
+ * @param {Date} [now]
+ * @returns {{expiring: Array, belowPar: Array, nextSent: Object}}
+ */
+const pickNewInventoryAlerts = (alerts, sent, now = new Date()) => {
+  const previous = { expiry: {}, belowPar: {}, ...(sent || {}) };
+  const nextSent = { expiry: {}, belowPar: {} };
+
+  const expiring = [];
+  for (const lot of alerts.expiring) {
+    const alerted = previous.expiry[lot.lotKey];
+    if (alerted === undefined || lot.window < alerted) {
+      expiring.push(lot);
+      nextSent.expiry[lot.lotKey] = lot.window;
+    } else {
+      nextSent.expiry[lot.lotKey] = alerted;
+    }
+  }
+
+  const belowPar = [];
+  for (const item of alerts.belowPar) {
+    if (previous.belowPar[item.itemKey]) {
+      nextSent.belowPar[item.itemKey] = previous.belowPar[item.itemKey];
+    } else {
+      belowPar.push(item);
+      nextSent.belowPar[item.itemKey] = now.toISOString();
+    }
+  }
+
+  return { expiring, belowPar, nextSent };
+};
+
+/**
+ * Plain-text lines for alert emails
+ * @param {Array} expiring - Lots from collectInventoryAlerts().expiring
+ * @returns {string}
+ */
+const formatExpiringList = (expiring) => expiring
+  .map(lot => `- ${lot.itemName}${lot.lotNumber ? ` (Lot ${lot.lotNumber})` : ''}: ${lot.quantity} on hand, expires ${new Date(lot.expiry).toLocaleDateString()} (${lot.daysUntilExpiry === 0 ? 'today' : `in ${lot.daysUntilExpiry} day${lot.daysUntilExpiry === 1 ? '' : 's'}`})`)
+  .join('\n');
+
+/**
+ * @param {Array} belowPar - Items from collectInventoryAlerts().belowPar
+ * @returns {string}
+ */
+const formatBelowParList = (belowPar) => belowPar
+  .map(item => `- ${item.itemName} (${item.category}): ${item.currentQty} on hand, par ${item.parLevel}`)
+  .join('\n');
+
+module.exports = {
+  INVENTORY_ALERTS_SENT_PREFIX,
+  expiryWindowFor,
+  collectInventoryAlerts,
+  pickNewInventoryAlerts,
+  formatExpiringList,
+  formatBelowParList
+};
@@ -0,0 +1,75 @@
+/**
+ * Inventory Barcodes
+ * Each inventory template category may list the GTINs (the product number in a GS1 barcode)
+ * of its items, keyed by item name:
+ *   { category, items: [...], gtins: { "<item name>": ["00812345678901", ...] } }
+ * The client portal reads GS1-128 and DataMatrix scans on the inventory form and looks the
+ * scanned GTIN up here to find the item whose lot row it prefills.
+ *
+ * GTINs are stored as 14 digits: GTIN-8, UPC-A (12) and EAN-13 codes are padded with leading
+ * zeros, the way GS1 barcodes carry them in application identifier (01).
+ */
+
+/**
+ * A GTIN as 14 digits, if its check digit is right
+ * @param {string|number} value - GTIN-8, -12, -13 or -14, spaces and dashes allowed
+ * @returns {string|null}
+ */
+const normalizeGtin = (value) => {
+  const digits = String(value ?? '').replace(/[\s-]/g, '');
+  if (!/^(\d{8}|\d{12}|\d{13}|\d{14})$/.test(digits)) return null;
+  const gtin = digits.padStart(14, '0');
+  // GS1 check digit: weights 3 and 1 alternate from the rightmost data digit
+  let sum = 0;
+  for (let i = 0; i < 13; i++) sum += Number(gtin[i]) * (i % 2 === 0 ? 3 : 1);
+  return (10 - (sum % 10)) % 10 === Number(gtin[13]) ? gtin : null;
+};
+
+/**
+ * Check and tidy the GTINs of an inventory template. Each item takes an array of GTINs or a
+ * comma-separated string (as typed in the Admin Hub); items with none are dropped, as are
+ * items no longer in their category. A GTIN may belong to only one item.
+ * @param {Array} template - [{ category, items, gtins? }]
+ * @returns {{template: Array}|{error: string}}
+ */
+const normalizeTemplateGtins = (template) => {
+  if (!Array.isArray(template)) return { template };
+  const owners = new Map();
+  const normalized = [];
+  for (const category of template) {
+    if (!category || !category.gtins) {
+      normalized.push(category);
+      continue;
+    }
+    if (typeof category.gtins !== 'object' || Array.isArray(category.gtins)) {
+      return { error: `Barcodes for ${category.category} must be an object keyed by item name` };
+    }
+    const items = Array.isArray(category.items) ? category.items : [];
+    const gtins = {};
+    for (const [itemName, values] of Object.entries(category.gtins)) {
+      if (!items.includes(itemName)) continue;
+      const list = Array.isArray(values) ? values : String(values || '').split(/[,;\n]/);
+      const cleaned = [];
+      for (const value of list) {
+        if (String(value ?? '').trim() === '') continue;
+        const gtin = normalizeGtin(value);
+        if (!gtin) return { error: `"${String(value).trim()}" is not a valid GTIN for ${itemName} (8, 12, 13 or 14 digits with a correct check digit)` };
+        const owner = owners.get(gtin);
+        if (owner && owner !== `${category.category}|${itemName}`) {
+          return { error: `GTIN ${gtin} is set on both ${owner.split('|')[1]} and ${itemName}` };
+        }
+        owners.set(gtin, `${category.category}|${itemName}`);
+        if (!cleaned.includes(gtin)) cleaned.push(gtin);
+      }
+      if (cleaned.length > 0) gtins[itemName] = cleaned;
+    }
+    const { gtins: _omit, ...rest } = category;
+    normalized.push(Object.keys(gtins).length > 0 ? { ...rest, gtins } : rest);
+  }
+  return { template: normalized };
+};
+
+module.exports = {
+  normalizeGtin,
+  normalizeTemplateGtins
+};
@@ -0,0 +1,406 @@
+/**
+ * Inventory Import
+ * Reads inventory counts from a spreadsheet - CSV, or XLSX as saved by Excel, Numbers or
+ * Google Sheets - laid out like GET /api/inventory/import-template: one row per lot with
+ * Category, Item Name, Lot Number, Expiry Date, Open Qty, Open Date, Closed Qty and Notes.
+ *
+ * Rows are checked against the inventory template and the client's custom items, and come back
+ * with their errors for a row-level preview. Only a file without errors becomes a count, in the
+ * same `{ "<Category>|<Item Name>": { batches: [...] } }` shape the inventory form submits.
+ *
+ * XLSX files are zip archives of XML; the first worksheet is read with zlib rather than a
+ * spreadsheet library. Formulas are read as their last calculated value.
+ */
+
+const zlib = require('zlib');
+
+const INVENTORY_IMPORT_MAX_ROWS = 2000;
+
+// Unzipped XML is far larger than the upload; stop well before it could exhaust memory
+const XLSX_MAX_ENTRY_BYTES = 50 * 1024 * 1024;
+// Last worksheet row read: the row cap plus room for a header and a few title or spacer rows
+const XLSX_MAX_ROW_NUMBER = INVENTORY_IMPORT_MAX_ROWS + 100;
+// Excel's last column is XFD; a reference past it is not from a real workbook
+const XLSX_MAX_COLUMNS = 16384;
+// Count sheets use a handful of columns; cells further right are dropped rather than padded out to
+const XLSX_MAX_COLUMNS_READ = 100;
+const tooManyRowsMessage = () => `Import at most ${INVENTORY_IMPORT_MAX_ROWS} rows at a time`;
+
+class ImportRowLimitError extends Error {
+  constructor() {
+    super(tooManyRowsMessage());
+    this.name = 'ImportRowLimitError';
+  }
+}
+
+// Columns, and how a header cell is recognised (case-insensitive, as the portal's CSV import did)
+const IMPORT_COLUMNS = {
+  category: h => h.includes('category'),
+  itemName: h => h.includes('item'),
+  lotNumber: h => h.includes('lot'),
+  expiry: h => h.includes('expiry') || h.includes('expiration'),
+  openQty: h => h.includes('open') && (h.includes('qty') || h.includes('quantity')),
+  openDate: h => h.includes('open') && h.includes('date'),
+  closedQty: h => h.includes('closed') && (h.includes('qty') || h.includes('quantity')),
+  notes: h => h.includes('note')
+};
+
+// ============== CSV ==============
+
+/**
+ * Rows of a CSV file. Quoted fields may contain commas, doubled quotes and line breaks.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else field += ch;
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// ============== XLSX ==============
+
+/**
+ * Files in a zip archive, by name (stored and deflated entries; no ZIP64)
+ * @param {Buffer} buffer
+ * @returns {Map<string, () => Buffer>} Readers, so only the entries needed are inflated
+ */
+const readZipEntries = (buffer) => {
+  // End of central directory record: at the end, before an optional comment of up to 64KB
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd === -1) throw new Error('Not a zip archive');
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  for (let n = 0; n < count; n++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Damaged zip directory');
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    entries.set(name, () => {
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) return data;
+      if (method === 8) return zlib.inflateRawSync(data, { maxOutputLength: XLSX_MAX_ENTRY_BYTES });
+      throw new Error(`Unsupported zip compression method ${method}`);
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+const decodeXml = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const xmlAttribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`(?:^|\\s)${name}="([^"]*)"`));
+  return match ? decodeXml(match[1]) : null;
+};
+
+// Text of a shared or inline string: every <t> run, leaving out phonetic hints (<rPh>)
+const xmlRichText = (xml) => [...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)]
+  .map(m => decodeXml(m[1])).join('');
+
+// Zero-based column of a cell reference such as "C12"
+const columnIndex = (cellRef) => {
+  const letters = (cellRef.match(/^[A-Z]{1,3}(?=\d)/i) || [''])[0].toUpperCase();
+  let index = 0;
+  for (const letter of letters) index = index * 26 + (letter.charCodeAt(0) - 64);
+  if (index < 1 || index > XLSX_MAX_COLUMNS) throw new Error(`cell reference ${cellRef} is outside the sheet`);
+  return index - 1;
+};
+
+/**
+ * Rows of the first worksheet of an XLSX workbook, as text
+ * @param {Buffer} buffer
+ * @returns {string[][]}
+ */
+const readXlsxRows = (buffer) => {
+  const entries = readZipEntries(buffer);
+  const readText = (name) => (entries.has(name) ? entries.get(name)().toString('utf8') : null);
+
+  const workbook = readText('xl/workbook.xml');
+  if (!workbook) throw new Error('Not an Excel workbook');
+  let sheetPath = 'xl/worksheets/sheet1.xml';
+  const firstSheet = workbook.match(/<sheet\b([^>]*)\/?>/);
+  const relationships = readText('xl/_rels/workbook.xml.rels');
+  if (firstSheet && relationships) {
+    const relId = xmlAttribute(firstSheet[1], 'r:id');
+    for (const rel of relationships.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+      if (xmlAttribute(rel[1], 'Id') !== relId) continue;
+      const target = xmlAttribute(rel[1], 'Target') || '';
+      sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    }
+  }
+  const sheet = readText(sheetPath);
+  if (!sheet) throw new Error('Workbook has no worksheet');
+
+  const sharedStringsXml = readText('xl/sharedStrings.xml') || '';
+  const sharedStrings = [...sharedStringsXml.matchAll(/<si\b[^>]*>([\s\S]*?)<\/si>/g)].map(m => xmlRichText(m[1]));
+
+  const rows = [];
+  for (const rowMatch of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNumber = parseInt(xmlAttribute(rowMatch[1], 'r'), 10) || rows.length + 1;
+    const cells = [];
+    for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ref = xmlAttribute(cellMatch[1], 'r');
+      const index = ref ? columnIndex(ref) : cells.length;
+      if (index >= XLSX_MAX_COLUMNS_READ) continue;
+      const type = xmlAttribute(cellMatch[1], 't');
+      const body = cellMatch[2] || '';
+      const rawValue = (body.match(/<v\b[^>]*>([\s\S]*?)<\/v>/) || [])[1];
+      let value = '';
+      if (type === 's') value = sharedStrings[parseInt(rawValue, 10)] || '';
+      else if (type === 'inlineStr') value = xmlRichText(body);
+      else if (type === 'b') value = rawValue === '1' ? 'TRUE' : 'FALSE';
+      else if (rawValue !== undefined) value = decodeXml(rawValue);
+      while (cells.length < index) cells.push('');
+      cells[index] = value;
+    }
+    // Formatting alone leaves <row> elements with nothing in them
+    if (!cells.some(c => String(c).trim())) continue;
+    if (rowNumber > XLSX_MAX_ROW_NUMBER) throw new ImportRowLimitError();
+    // Excel leaves out empty rows; keep row numbers in step with what the user sees
+    while (rows.length < rowNumber - 1) rows.push([]);
+    rows.push(cells);
+  }
+  return rows;
+};
+
+// ============== FILE ==============
+
+/**
+ * Rows of an uploaded count file
+ * @param {Buffer} buffer
+ * @param {string} fileName - Original name; the extension picks the format
+ * @returns {{rows: string[][], format: 'csv'|'xlsx'}|{error: string}}
+ */
+const readInventoryImportFile = (buffer, fileName = '') => {
+  const extension = (String(fileName).toLowerCase().match(/\.([a-z0-9]+)$/) || [])[1];
+  const isZip = buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+  if (extension === 'xls') {
+    return { error: 'Older .xls workbooks are not supported. Save the file as .xlsx or .csv and upload it again.' };
+  }
+  if (extension === 'xlsx' || isZip) {
+    try {
+      return { rows: readXlsxRows(buffer), format: 'xlsx' };
+    } catch (err) {
+      if (err instanceof ImportRowLimitError) return { error: err.message };
+      return { error: `Could not read the Excel file (${err.message}). Save it as .xlsx or .csv and try again.` };
+    }
+  }
+  if (extension && extension !== 'csv' && extension !== 'txt') {
+    return { error: 'Upload a .csv or .xlsx file' };
+  }
+  return { rows: parseCsv(buffer.toString('utf8')), format: 'csv' };
+};
+
+// ============== VALIDATION ==============
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Excel day 0, allowing for its 1900 leap year bug (serials from 1 March 1900 on)
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+
+const isoDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * A date cell as YYYY-MM-DD. Accepts YYYY-MM-DD, M/D/YYYY (how Excel re-saves the template in
+ * the US) and Excel date serial numbers.
+ * @param {string} value
+ * @returns {string|null} '' for a blank cell, null when it is not a date
+ */
+const parseImportDate = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return '';
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s].*)?$/);
+  if (match) return isoDate(+match[1], +match[2], +match[3]);
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+  if (match) return isoDate(match[3].length === 2 ? 2000 + +match[3] : +match[3], +match[1], +match[2]);
+  if (/^\d+(\.\d+)?$/.test(text) && +text >= 61 && +text < 2958466) {
+    return new Date(EXCEL_EPOCH_MS + Math.floor(+text) * DAY_MS).toISOString().split('T')[0];
+  }
+  return null;
+};
+
+/**
+ * Columns of a header row
+ * @param {string[]} header
+ * @returns {Object<string, number>} Column index per field, -1 when missing
+ */
+const mapImportColumns = (header) => {
+  const cells = header.map(h => String(h || '').trim().toLowerCase());
+  const columns = {};
+  for (const [field, matches] of Object.entries(IMPORT_COLUMNS)) {
+    columns[field] = cells.findIndex((h, i) => matches(h) && !Object.values(columns).includes(i));
+  }
+  return columns;
+};
+
+/**
+ * Check rows against the inventory template and the client's custom items
+ * @param {string[][]} rows - From readInventoryImportFile(), header row first
+ * @param {Object} params
+ * @param {Array} params.template - [{ category, items }]
+ * @param {Array} params.customItems - [{ category, itemName }]
+ * @returns {{error: string}|{rows: Array<{row, category, itemName, lotNumber, expiry, openQty, openDate, closedQty, notes, errors}>,
+ *   data: Object, summary: {totalRows, validRows, errorRows, skippedRows, itemCount}}}
+ */
+const validateInventoryImportRows = (rows, { template, customItems }) => {
+  const headerIndex = rows.findIndex(cells => cells.some(c => String(c || '').trim()));
+  if (headerIndex === -1) return { error: 'The file is empty' };
+  const columns = mapImportColumns(rows[headerIndex]);
+  if (columns.category === -1 || columns.itemName === -1) {
+    return { error: 'Missing required columns: "Category" and "Item Name" must be present. Start from the import template.' };
+  }
+  // Blank lines (trailing commas, spacer rows) are skipped below, so they don't count
+  const filledRows = rows.slice(headerIndex + 1).filter(cells => cells.some(c => String(c ?? '').trim())).length;
+  if (filledRows > INVENTORY_IMPORT_MAX_ROWS) return { error: tooManyRowsMessage() };
+
+  // Known items, matched case-insensitively and stored under their template spelling
+  const knownItems = new Map();
+  const knownCategories = new Map();
+  const addKnown = (category, itemName) => {
+    knownItems.set(`${category}|${itemName}`.toLowerCase(), { category, itemName });
+    knownCategories.set(category.toLowerCase(), category);
+  };
+  (template || []).forEach(cat => (cat.items || []).forEach(item => addKnown(cat.category, item)));
+  (customItems || []).forEach(ci => ci.category && ci.itemName && addKnown(ci.category, ci.itemName));
+
+  const cell = (cells, field) => (columns[field] === -1 ? '' : String(cells[columns[field]] ?? '').trim());
+  const results = [];
+  const data = {};
+  const lotRows = new Map();
+  let skippedRows = 0;
+
+  rows.slice(headerIndex + 1).forEach((cells, i) => {
+    const row = {
+      // Spreadsheet row number, as shown in Excel
+      row: headerIndex + i + 2,
+      category: cell(cells, 'category'),
+      itemName: cell(cells, 'itemName'),
+      lotNumber: cell(cells, 'lotNumber'),
+      expiry: cell(cells, 'expiry'),
+      openQty: cell(cells, 'openQty'),
+      openDate: cell(cells, 'openDate'),
+      closedQty: cell(cells, 'closedQty'),
+      notes: cell(cells, 'notes'),
+      errors: []
+    };
+    if (!Object.keys(IMPORT_COLUMNS).some(field => row[field])) {
+      skippedRows++;
+      return;
+    }
+
+    if (!row.category || !row.itemName) {
+      row.errors.push('Category and Item Name are required');
+    } else {
+      const known = knownItems.get(`${row.category}|${row.itemName}`.toLowerCase());
+      if (known) {
+        row.category = known.category;
+        row.itemName = known.itemName;
+      } else if (knownCategories.has(row.category.toLowerCase())) {
+        row.errors.push(`"${row.itemName}" is not an item in ${knownCategories.get(row.category.toLowerCase())}. Add it as a custom item first.`);
+      } else {
+        row.errors.push(`Unknown category "${row.category}"`);
+      }
+    }
+
+    for (const field of ['expiry', 'openDate']) {
+      const date = parseImportDate(row[field]);
+      if (date === null) row.errors.push(`${field === 'expiry' ? 'Expiry Date' : 'Open Date'} "${row[field]}" is not a date (use YYYY-MM-DD)`);
+      else row[field] = date;
+    }
+    for (const field of ['openQty', 'closedQty']) {
+      if (row[field] === '') continue;
+      const quantity = Number(row[field]);
+      if (!Number.isInteger(quantity) || quantity < 0) {
+        row.errors.push(`${field === 'openQty' ? 'Open Qty' : 'Closed Qty'} "${row[field]}" must be a whole number of 0 or more`);
+      } else {
+        row[field] = quantity;
+      }
+    }
+
+    if (row.errors.length === 0) {
+      const itemKey = `${row.category}|${row.itemName}`;
+      if (row.lotNumber) {
+        const lotKey = `${itemKey}|${row.lotNumber.toUpperCase()}`;
+        if (lotRows.has(lotKey)) {
+          row.errors.push(`Lot ${row.lotNumber} of ${row.itemName} is already on row ${lotRows.get(lotKey)}`);
+        } else {
+          lotRows.set(lotKey, row.row);
+        }
+      }
+      if (row.errors.length === 0) {
+        if (!data[itemKey]) data[itemKey] = { batches: [] };
+        const { row: _row, category: _category, itemName: _itemName, errors: _errors, ...batch } = row;
+        data[itemKey].batches.push(batch);
+      }
+    }
+    results.push(row);
+  });
+
+  const errorRows = results.filter(r => r.errors.length > 0).length;
+  return {
+    rows: results,
+    data,
+    summary: {
+      totalRows: results.length,
+      validRows: results.length - errorRows,
+      errorRows,
+      skippedRows,
+      itemCount: Object.keys(data).length
+    }
+  };
+};
+
+module.exports = {
+  INVENTORY_IMPORT_MAX_ROWS,
+  parseCsv,
+  readXlsxRows,
+  readInventoryImportFile,
+  parseImportDate,
+  validateInventoryImportRows
+};
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readXlsxRows, readInventoryImportFile } = require('./inventory-import');
+
+// A stored (uncompressed) zip holding the given files
+const zip = (files) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(files)) {
+    const nameBuffer = Buffer.from(name);
+    const data = Buffer.from(text);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+};
+
+const workbook = (rowsXml) => zip({
+  'xl/workbook.xml': '<workbook><sheets><sheet name="Counts" sheetId="1"/></sheets></workbook>',
+  'xl/worksheets/sheet1.xml': `<worksheet><sheetData>${rowsXml}</sheetData></worksheet>`
+});
+
+const inlineCell = (ref, text) => `<c r="${ref}" t="inlineStr"><is><t>${text}</t></is></c>`;
+
+test('reads inline strings into their columns', () => {
+  const rows = readXlsxRows(workbook(`<row r="1">${inlineCell('A1', 'Item')}${inlineCell('C1', 'Quantity')}</row>`));
+  assert.deepStrictEqual(rows, [['Item', '', 'Quantity']]);
+});
+
+test('refuses cell references past column XFD', () => {
+  assert.throws(() => readXlsxRows(workbook(`<row r="1">${inlineCell('ZZZZZZZ1', 'x')}</row>`)), /outside the sheet/);
+  assert.throws(() => readXlsxRows(workbook(`<row r="1">${inlineCell('XFE1', 'x')}</row>`)), /outside the sheet/);
+  const result = readInventoryImportFile(workbook(`<row r="1">${inlineCell('ZZZZZZZ1', 'x')}</row>`), 'counts.xlsx');
+  assert.match(result.error, /Could not read the Excel file/);
+});
+
+test('drops cells far to the right instead of padding rows out to them', () => {
+  const rows = readXlsxRows(workbook(`<row r="1">${inlineCell('A1', 'Item')}${inlineCell('XFD1', 'far')}</row>`));
+  assert.deepStrictEqual(rows, [['Item']]);
+});
+
+test('stops at the row cap', () => {
+  const result = readInventoryImportFile(workbook(`<row r="999999">${inlineCell('A999999', 'x')}</row>`), 'counts.xlsx');
+  assert.match(result.error, /Import at most/);
+});
@@ -0,0 +1,291 @@
+/**
+ * Inventory Ledger
+ * Stock movements per client and lot, recorded as they happen in `inventory_ledger_<slug>`:
+ *   { id, itemKey, lotNumber, expiry, type, quantity, counterparty, counterpartySlug, transferId,
+ *     reference, notes, occurredAt, recordedAt, recordedBy, recordedByName, voidedAt, voidedBy }
+ * `type` is received, consumed, wasted, expired or transferred; `quantity` is the signed change
+ * to stock (receipts and transfers in are positive). `itemKey` is "Category|Item Name", the
+ * same key inventory counts use. Mistakes are voided, never deleted.
+ *
+ * Weekly counts (inventory submissions) reconcile against the ledger: movements and counts are
+ * replayed in time order and each counted lot is compared with the balance the ledger expects
+ * at that moment. A shortfall is consumption nobody recorded; an excess is a count correction.
+ * These reconciliation lines are derived on every replay rather than stored, so deleting a count
+ * or back-dating a receipt simply changes the result.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const INVENTORY_LEDGER_PREFIX = 'inventory_ledger_';
+
+// Movement types and the sign their quantity takes (transfers take the sign of their direction)
+const LEDGER_ENTRY_TYPES = {
+  received: 1,
+  consumed: -1,
+  wasted: -1,
+  expired: -1,
+  transferred: 0
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalizeLot = (lotNumber) => String(lotNumber || '').trim();
+
+/**
+ * Key of one lot of one item. Lot numbers match case-insensitively; counts without a
+ * lot number share a single "no lot" bucket per item.
+ * @param {string} itemKey - "Category|Item Name"
+ * @param {string} lotNumber
+ * @returns {string}
+ */
+const lotKeyFor = (itemKey, lotNumber) => `${itemKey}#${normalizeLot(lotNumber).toUpperCase()}`;
+
+const splitItemKey = (itemKey) => {
+  const [category, ...rest] = String(itemKey).split('|');
+  return { category, itemName: rest.join('|') };
+};
+
+// Dates from forms arrive as YYYY-MM-DD; keep everything else as an ISO timestamp
+const toIsoTimestamp = (value) => {
+  if (!value) return null;
+  const text = String(value).trim();
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(text) ? new Date(`${text}T12:00:00.000Z`) : new Date(text);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Validate a movement from a request body and build the ledger entry
+ * @param {Object} body - { itemKey | category + itemName, lotNumber, expiry, type, quantity,
+ *   direction ('in'|'out', transfers only), counterparty, counterpartySlug, reference, notes, occurredAt }
+ * @param {{id: string, name: string}} actor
+ * @returns {{entry: Object}|{error: string}}
+ */
+const createLedgerEntry = (body = {}, actor = {}) => {
+  const itemKey = body.itemKey || (body.category && body.itemName ? `${body.category}|${body.itemName}` : '');
+  if (!itemKey || !String(itemKey).includes('|')) return { error: 'itemKey ("Category|Item Name") or category and itemName are required' };
+  if (!Object.prototype.hasOwnProperty.call(LEDGER_ENTRY_TYPES, body.type)) {
+    return { error: `type must be one of: ${Object.keys(LEDGER_ENTRY_TYPES).join(', ')}` };
+  }
+  const amount = Number(body.quantity);
+  if (!Number.isFinite(amount) || amount <= 0) return { error: 'quantity must be a positive number' };
+
+  let sign = LEDGER_ENTRY_TYPES[body.type];
+  if (body.type === 'transferred') {
+    if (!['in', 'out'].includes(body.direction)) return { error: 'direction must be "in" or "out" for transfers' };
+    sign = body.direction === 'in' ? 1 : -1;
+  }
+
+  const now = new Date();
+  const occurredAt = body.occurredAt ? toIsoTimestamp(body.occurredAt) : now.toISOString();
+  if (!occurredAt) return { error: 'occurredAt must be a date (YYYY-MM-DD) or ISO timestamp' };
+  // A day of slack for time zones; anything later is a typo
+  if (new Date(occurredAt).getTime() > now.getTime() + DAY_MS) return { error: 'occurredAt cannot be in the future' };
+  if (body.expiry && !toIsoTimestamp(body.expiry)) return { error: 'expiry must be a date (YYYY-MM-DD)' };
+
+  return {
+    entry: {
+      id: uuidv4(),
+      itemKey: String(itemKey),
+      lotNumber: normalizeLot(body.lotNumber),
+      expiry: body.expiry ? String(body.expiry).slice(0, 10) : '',
+      type: body.type,
+      quantity: sign * amount,
+      counterparty: body.type === 'transferred' ? String(body.counterparty || '').trim() : '',
+      counterpartySlug: body.type === 'transferred' && body.counterpartySlug ? String(body.counterpartySlug) : null,
+      // Set by the server when it writes both halves of a transfer, never taken from the request
+      transferId: null,
+      reference: String(body.reference || '').trim(),
+      notes: String(body.notes || '').trim(),
+      occurredAt,
+      recordedAt: now.toISOString(),
+      recordedBy: actor.id || null,
+      recordedByName: actor.name || actor.email || ''
+    }
+  };
+};
+
+/**
+ * The other half of a transfer between two clients, for the receiving (or sending) ledger
+ * @param {Object} entry - Entry written to the first ledger
+ * @param {string} fromSlug - Slug of the first ledger
+ * @param {string} fromName - Practice name of the first ledger
+ * @returns {Object}
+ */
+const mirrorTransferEntry = (entry, fromSlug, fromName) => ({
+  ...entry,
+  id: uuidv4(),
+  quantity: -entry.quantity,
+  counterparty: fromName || fromSlug,
+  counterpartySlug: fromSlug
+});
+
+/**
+ * Lots counted in one submission: open + closed quantities summed per lot
+ * @param {Object} data - Submission data { "Category|Item": { batches: [...] } }
+ * @returns {Map<string, {itemKey, lotNumber, expiry, quantity}>}
+ */
+const countedLots = (data = {}) => {
+  const lots = new Map();
+  for (const [itemKey, value] of Object.entries(data || {})) {
+    const batches = Array.isArray(value?.batches) ? value.batches : [value || {}];
+    for (const batch of batches) {
+      const quantity = (parseInt(batch.openQty) || 0) + (parseInt(batch.closedQty) || 0);
+      const lotNumber = normalizeLot(batch.lotNumber);
+      // Blank rows left in the form are not a count of anything
+      if (!lotNumber && quantity === 0) continue;
+      const key = lotKeyFor(itemKey, lotNumber);
+      const lot = lots.get(key) || { itemKey, lotNumber, expiry: '', quantity: 0 };
+      lot.quantity += quantity;
+      if (batch.expiry) lot.expiry = String(batch.expiry).slice(0, 10);
+      lots.set(key, lot);
+    }
+  }
+  return lots;
+};
+
+/**
+ * Replay movements and counts in time order
+ * @param {Array} entries - Ledger entries (voided ones are skipped)
+ * @param {Array} submissions - Inventory submissions (counts)
+ * @returns {{lots: Array, lines: Array}} Lot balances, and every movement oldest first with
+ *   `balanceAfter` - including derived count lines ({ source: 'count', submissionId, expected, counted })
+ */
+const replayLedger = (entries = [], submissions = []) => {
+  const events = [
+    ...entries.filter(e => !e.voidedAt).map(entry => ({ at: entry.occurredAt, order: 0, entry })),
+    ...submissions.filter(s => s.submittedAt).map(submission => ({ at: submission.submittedAt, order: 1, submission }))
+  ].sort((a, b) => String(a.at).localeCompare(String(b.at)) || a.order - b.order);
+
+  const lots = new Map();
+  const lotFor = (itemKey, lotNumber) => {
+    const key = lotKeyFor(itemKey, lotNumber);
+    if (!lots.has(key)) {
+      lots.set(key, { key, itemKey, ...splitItemKey(itemKey), lotNumber: normalizeLot(lotNumber), expiry: '', balance: 0, lastCountedAt: null, lastMovementAt: null });
+    }
+    return lots.get(key);
+  };
+  const lines = [];
+
+  for (const event of events) {
+    if (event.entry) {
+      const entry = event.entry;
+      const lot = lotFor(entry.itemKey, entry.lotNumber);
+      lot.balance += entry.quantity;
+      if (entry.expiry) lot.expiry = entry.expiry;
+      lot.lastMovementAt = entry.occurredAt;
+      lines.push({ ...entry, source: 'ledger', balanceAfter: lot.balance });
+      continue;
+    }
+
+    const submission = event.submission;
+    const counted = countedLots(submission.data);
+    // A count covers every lot of the items it lists; a lot missing from a listed item is gone
+    const countedItems = new Set(Object.keys(submission.data || {}));
+    for (const lot of lots.values()) {
+      if (countedItems.has(lot.itemKey) && !counted.has(lot.key) && lot.balance !== 0) {
+        counted.set(lot.key, { itemKey: lot.itemKey, lotNumber: lot.lotNumber, expiry: lot.expiry, quantity: 0 });
+      }
+    }
+    for (const [key, count] of counted) {
+      const lot = lotFor(count.itemKey, count.lotNumber);
+      if (count.expiry) lot.expiry = count.expiry;
+      const expected = lot.balance;
+      const variance = count.quantity - expected;
+      lot.balance = count.quantity;
+      lot.lastCountedAt = submission.submittedAt;
+      if (variance === 0) continue;
+      lines.push({
+        id: `count-${submission.id}-${key}`,
+        itemKey: lot.itemKey,
+        lotNumber: lot.lotNumber,
+        expiry: lot.expiry,
+        // Stock that left without a movement being recorded was used
+        type: variance < 0 ? 'consumed' : 'adjustment',
+        quantity: variance,
+        source: 'count',
+        submissionId: submission.id,
+        expected,
+        counted: count.quantity,
+        occurredAt: submission.submittedAt,
+        recordedByName: submission.submittedBy || '',
+        balanceAfter: lot.balance
+      });
+    }
+  }
+
+  return {
+    lots: [...lots.values()].sort((a, b) =>
+      a.category.localeCompare(b.category) || a.itemName.localeCompare(b.itemName) || a.lotNumber.localeCompare(b.lotNumber)),
+    lines
+  };
+};
+
+/**
+ * Movement totals per item over a window, with weekly consumption rates.
+ * Consumption includes usage recorded directly and usage found when counts are reconciled.
+ * @param {Array} lines - replayLedger().lines
+ * @param {Array} lots - replayLedger().lots
+ * @param {{days?: number, now?: Date}} [options] - Window length (default 30 days)
+ * @returns {Array<{itemKey, category, itemName, received, consumed, unrecordedConsumed, wasted,
+ *   expired, transferredIn, transferredOut, adjusted, currentQty, totalDays, avgWeeklyRate, weeksRemaining}>}
+ */
+const summarizeMovements = (lines, lots, { days = 30, now = new Date() } = {}) => {
+  const windowStart = new Date(now.getTime() - days * DAY_MS).toISOString();
+  const inWindow = lines.filter(l => l.occurredAt >= windowStart && l.occurredAt <= now.toISOString());
+  // Rates cover the window, or the time since the first movement if the ledger is younger
+  const firstAt = lines.length ? lines[0].occurredAt : now.toISOString();
+  const totalDays = Math.max(1, Math.round((now.getTime() - new Date(firstAt > windowStart ? firstAt : windowStart).getTime()) / DAY_MS));
+
+  const items = new Map();
+  const itemFor = (itemKey) => {
+    if (!items.has(itemKey)) {
+      items.set(itemKey, {
+        itemKey, ...splitItemKey(itemKey),
+        received: 0, consumed: 0, unrecordedConsumed: 0, wasted: 0, expired: 0,
+        transferredIn: 0, transferredOut: 0, adjusted: 0, consumptionEvents: 0
+      });
+    }
+    return items.get(itemKey);
+  };
+  for (const line of inWindow) {
+    const item = itemFor(line.itemKey);
+    const amount = Math.abs(line.quantity);
+    if (line.type === 'received') item.received += amount;
+    else if (line.type === 'consumed') {
+      item.consumed += amount;
+      item.consumptionEvents += 1;
+      if (line.source === 'count') item.unrecordedConsumed += amount;
+    } else if (line.type === 'wasted') item.wasted += amount;
+    else if (line.type === 'expired') item.expired += amount;
+    else if (line.type === 'transferred') {
+      if (line.quantity > 0) item.transferredIn += amount;
+      else item.transferredOut += amount;
+    } else if (line.type === 'adjustment') item.adjusted += line.quantity;
+  }
+
+  const balances = {};
+  for (const lot of lots) balances[lot.itemKey] = (balances[lot.itemKey] || 0) + lot.balance;
+
+  return [...items.values()].map(item => {
+    const avgWeeklyRate = (item.consumed / totalDays) * 7;
+    const currentQty = Math.max(0, balances[item.itemKey] || 0);
+    return {
+      ...item,
+      currentQty,
+      totalDays,
+      avgWeeklyRate,
+      weeksRemaining: avgWeeklyRate > 0 && currentQty > 0 ? Math.ceil(currentQty / avgWeeklyRate) : 0
+    };
+  });
+};
+
+module.exports = {
+  INVENTORY_LEDGER_PREFIX,
+  LEDGER_ENTRY_TYPES,
+  lotKeyFor,
+  createLedgerEntry,
+  mirrorTransferEntry,
+  countedLots,
+  replayLedger,
+  summarizeMovements
+};
@@ -0,0 +1,167 @@
+/**
+ * Inventory Reorder Suggestions
+ * Each inventory template category may carry reorder settings for its items, keyed by item name:
+ *   { category, items: [...], reorder: { "<item name>": { parLevel, leadTimeDays, minOrderQty } } }
+ * `parLevel` is the stock a client should still hold when an order arrives, `leadTimeDays` how long
+ * an order takes to arrive and `minOrderQty` the smallest quantity the supplier ships.
+ *
+ * Suggestions compare each item's current stock (from the ledger) with what it will be once an
+ * order placed today arrives, at the item's weekly consumption rate. Items whose template entry
+ * sets no par level aim for a few weeks of their own usage instead.
+ */
+
+const { csvCell } = require('./csv');
+
+const REORDER_SETTING_FIELDS = ['parLevel', 'leadTimeDays', 'minOrderQty'];
+
+// Most pressing first
+const REORDER_URGENCY_ORDER = ['out_of_stock', 'urgent', 'reorder'];
+const REORDER_URGENCY_LABELS = { out_of_stock: 'Out of stock', urgent: 'Order now', reorder: 'Reorder' };
+
+const CSV_COLUMNS = [
+  ['clientName', 'Client'],
+  ['category', 'Category'],
+  ['itemName', 'Item'],
+  ['currentQty', 'On Hand'],
+  ['weeklyRate', 'Weekly Usage'],
+  ['leadTimeDays', 'Lead Time (days)'],
+  ['parLevel', 'Par Level'],
+  ['minOrderQty', 'Min Order Qty'],
+  ['suggestedQty', 'Suggested Order Qty'],
+  ['urgency', 'Urgency']
+];
+
+/**
+ * Check and tidy the reorder settings of an inventory template. Blank settings are dropped,
+ * as are settings for items no longer in their category.
+ * @param {Array} template - [{ category, items, reorder? }]
+ * @returns {{template: Array}|{error: string}}
+ */
+const normalizeTemplateReorderSettings = (template) => {
+  if (!Array.isArray(template)) return { template };
+  const normalized = [];
+  for (const category of template) {
+    if (!category || !category.reorder) {
+      normalized.push(category);
+      continue;
+    }
+    if (typeof category.reorder !== 'object' || Array.isArray(category.reorder)) {
+      return { error: `Reorder settings for ${category.category} must be an object keyed by item name` };
+    }
+    const items = Array.isArray(category.items) ? category.items : [];
+    const reorder = {};
+    for (const [itemName, settings] of Object.entries(category.reorder)) {
+      if (!items.includes(itemName) || !settings) continue;
+      const cleaned = {};
+      for (const field of REORDER_SETTING_FIELDS) {
+        const value = settings[field];
+        if (value === undefined || value === null || value === '') continue;
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 0) {
+          return { error: `${field} for ${itemName} must be a whole number of 0 or more` };
+        }
+        cleaned[field] = number;
+      }
+      if (cleaned.minOrderQty === 0) delete cleaned.minOrderQty;
+      if (Object.keys(cleaned).length > 0) reorder[itemName] = cleaned;
+    }
+    const { reorder: _omit, ...rest } = category;
+    normalized.push(Object.keys(reorder).length > 0 ? { ...rest, reorder } : rest);
+  }
+  return { template: normalized };
+};
+
+/**
+ * Reorder settings of every template item, keyed "Category|Item Name"
+ * @param {Array} template
+ * @returns {Object<string, {parLevel?, leadTimeDays?, minOrderQty?}>}
+ */
+const reorderSettingsByItem = (template) => {
+  const byItem = {};
+  for (const category of template || []) {
+    for (const [itemName, settings] of Object.entries((category && category.reorder) || {})) {
+      byItem[`${category.category}|${itemName}`] = settings;
+    }
+  }
+  return byItem;
+};
+
+/**
+ * Items a client should reorder now, most pressing first. Only items the client has stocked
+ * (any lot in the ledger) are considered.
+ * @param {Object} params
+ * @param {Array} params.lots - replayLedger().lots
+ * @param {Array} params.movements - summarizeMovements() output
+ * @param {Array} params.template - Inventory template with reorder settings
+ * @param {{leadTimeDays: number, parWeeks: number}} params.defaults - For items without settings
+ * @returns {Array<{itemKey, category, itemName, currentQty, weeklyRate, leadTimeDays, parLevel, parSource,
+ *   minOrderQty, projectedAtArrival, daysOfStock, suggestedQty, urgency}>}
+ */
+const suggestReorders = ({ lots, movements, template, defaults }) => {
+  const settingsByItem = reorderSettingsByItem(template);
+  const rateByItem = {};
+  for (const movement of movements || []) rateByItem[movement.itemKey] = movement.avgWeeklyRate || 0;
+
+  const items = new Map();
+  for (const lot of lots || []) {
+    const item = items.get(lot.itemKey) || { itemKey: lot.itemKey, category: lot.category, itemName: lot.itemName, currentQty: 0 };
+    item.currentQty += Math.max(0, lot.balance);
+    items.set(lot.itemKey, item);
+  }
+
+  const suggestions = [];
+  for (const item of items.values()) {
+    const settings = settingsByItem[item.itemKey] || {};
+    const weeklyRate = rateByItem[item.itemKey] || 0;
+    const leadTimeDays = settings.leadTimeDays ?? defaults.leadTimeDays;
+    const parSource = settings.parLevel !== undefined ? 'template' : 'usage';
+    const parLevel = parSource === 'template' ? settings.parLevel : Math.ceil(weeklyRate * defaults.parWeeks);
+    // Nothing to aim for: no par level set and no recent usage
+    if (parLevel <= 0 && weeklyRate <= 0) continue;
+
+    const projectedAtArrival = Math.max(0, item.currentQty - (weeklyRate * leadTimeDays) / 7);
+    if (projectedAtArrival >= parLevel && item.currentQty > 0) continue;
+
+    const minOrderQty = settings.minOrderQty || 1;
+    const needed = Math.max(1, Math.ceil(parLevel - projectedAtArrival));
+    const daysOfStock = weeklyRate > 0 ? Math.floor(item.currentQty / (weeklyRate / 7)) : null;
+    suggestions.push({
+      ...item,
+      weeklyRate: Math.round(weeklyRate * 10) / 10,
+      leadTimeDays,
+      parLevel,
+      parSource,
+      minOrderQty,
+      projectedAtArrival: Math.round(projectedAtArrival * 10) / 10,
+      daysOfStock,
+      suggestedQty: Math.max(needed, minOrderQty),
+      // Out of stock, or will run out before an order placed today arrives
+      urgency: item.currentQty <= 0 ? 'out_of_stock' : daysOfStock !== null && daysOfStock < leadTimeDays ? 'urgent' : 'reorder'
+    });
+  }
+
+  return suggestions.sort((a, b) =>
+    REORDER_URGENCY_ORDER.indexOf(a.urgency) - REORDER_URGENCY_ORDER.indexOf(b.urgency) ||
+    a.category.localeCompare(b.category) || a.itemName.localeCompare(b.itemName));
+};
+
+/**
+ * CSV purchase order draft, one row per suggested item
+ * @param {Array} lines - suggestReorders() output; lines may carry clientName
+ * @param {{includeClient?: boolean}} [options] - Add a Client column (cross-client orders)
+ * @returns {string}
+ */
+const purchaseOrderToCsv = (lines, { includeClient = false } = {}) => {
+  const columns = CSV_COLUMNS.filter(([field]) => includeClient || field !== 'clientName');
+  const rows = lines.map(line => columns.map(([field]) =>
+    csvCell(field === 'urgency' ? REORDER_URGENCY_LABELS[line.urgency] : line[field])).join(','));
+  return [columns.map(([, label]) => label).join(','), ...rows].join('\n');
+};
+
+module.exports = {
+  REORDER_SETTING_FIELDS,
+  normalizeTemplateReorderSettings,
+  reorderSettingsByItem,
+  suggestReorders,
+  purchaseOrderToCsv
+};
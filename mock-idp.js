@@ -0,0 +1,158 @@
+/**
+ * Mock OpenID Connect identity provider for trying SSO locally.
+ * NOT for production: anyone can sign in as anyone with any groups.
+ *
+ * Either mount it inside the app (SSO_MOCK_IDP_ENABLED=true serves it at /mock-idp) or run
+ * it on its own with `node mock-idp.js` (port MOCK_IDP_PORT, default 4010). Then add an SSO
+ * provider in the admin hub with:
+ *   issuer        http://localhost:3000/mock-idp   (or http://localhost:4010)
+ *   client ID     MOCK_IDP_CLIENT_ID      (default 'thrive365-local')
+ *   client secret MOCK_IDP_CLIENT_SECRET  (default 'mock-secret')
+ *
+ * The login page lets you type the email, name and groups the ID token should carry.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const CODE_TTL_MS = 2 * 60 * 1000;
+const TOKEN_TTL_SECONDS = 300;
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+const base64Url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+/**
+ * Express router implementing discovery, authorize, token, userinfo and JWKS endpoints
+ * @param {Object} [options]
+ * @param {string} [options.clientId]
+ * @param {string} [options.clientSecret]
+ * @returns {express.Router}
+ */
+const createMockIdpRouter = ({
+  clientId = process.env.MOCK_IDP_CLIENT_ID || 'thrive365-local',
+  clientSecret = process.env.MOCK_IDP_CLIENT_SECRET || 'mock-secret'
+} = {}) => {
+  const router = express.Router();
+  // New signing key per process; the app refetches the JWKS when it sees an unknown kid
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = base64Url(crypto.randomBytes(8));
+  const codes = new Map();
+  const accessTokens = new Map();
+
+  const issuerOf = (req) => `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+  router.use(express.urlencoded({ extended: false }));
+
+  router.get('/.well-known/openid-configuration', (req, res) => {
+    const issuer = issuerOf(req);
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      scopes_supported: ['openid', 'email', 'profile', 'groups'],
+      token_endpoint_auth_methods_supported: ['client_secret_post']
+    });
+  });
+
+  router.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+  });
+
+  router.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, response_type, login_hint } = req.query;
+    if (client_id !== clientId) return res.status(400).send(`Unknown client_id. The mock IdP expects "${escapeHtml(clientId)}".`);
+    if (response_type !== 'code' || !redirect_uri) return res.status(400).send('Only the authorization code flow is supported');
+    const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+      .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`).join('');
+    res.send(`<!DOCTYPE html>
+<html><head><title>Mock Identity Provider</title>
+<style>body{font-family:system-ui,sans-serif;background:#f3f4f6;display:flex;justify-content:center;padding-top:60px}
+form{background:#fff;padding:28px;border-radius:12px;box-shadow:0 1px 4px rgba(0,0,0,.1);width:380px}
+label{display:block;font-size:13px;color:#374151;margin:12px 0 4px}input{width:100%;padding:8px;border:1px solid #d1d5db;border-radius:6px;box-sizing:border-box}
+button{margin-top:18px;width:100%;padding:10px;background:#045E9F;color:#fff;border:0;border-radius:6px;font-size:15px;cursor:pointer}
+p{font-size:12px;color:#6b7280}</style></head>
+<body><form method="POST">
+<h2 style="margin-top:0">Mock Identity Provider</h2>
+<p>Local testing only. Sign in as anyone; groups are sent in the "groups" claim.</p>
+${hidden}
+<label>Email</label><input name="email" type="email" required value="${escapeHtml(login_hint)}">
+<label>Name</label><input name="name" placeholder="Taylor Example">
+<label>Groups (comma separated)</label><input name="groups" placeholder="thrive-admins, field-service">
+<button type="submit">Sign in</button>
+</form></body></html>`);
+  });
+
+  router.post('/authorize', (req, res) => {
+    const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, email, name, groups } = req.body;
+    if (client_id !== clientId || !redirect_uri || !email) return res.status(400).send('Invalid sign-in request');
+    const code = base64Url(crypto.randomBytes(24));
+    codes.set(code, {
+      redirectUri: redirect_uri,
+      nonce,
+      codeChallenge: code_challenge_method === 'S256' ? code_challenge : null,
+      profile: {
+        email: String(email).trim().toLowerCase(),
+        name: String(name || '').trim() || String(email).split('@')[0],
+        groups: String(groups || '').split(',').map(g => g.trim()).filter(Boolean)
+      },
+      expiresAt: Date.now() + CODE_TTL_MS
+    });
+    const target = new URL(redirect_uri);
+    target.searchParams.set('code', code);
+    if (state) target.searchParams.set('state', state);
+    res.redirect(target.toString());
+  });
+
+  router.post('/token', (req, res) => {
+    const { grant_type, code, redirect_uri, client_id, client_secret, code_verifier } = req.body;
+    if (client_id !== clientId || client_secret !== clientSecret) return res.status(401).json({ error: 'invalid_client' });
+    if (grant_type !== 'authorization_code') return res.status(400).json({ error: 'unsupported_grant_type' });
+    const record = codes.get(code);
+    codes.delete(code);
+    if (!record || record.expiresAt < Date.now() || record.redirectUri !== redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+    if (record.codeChallenge) {
+      const challenge = base64Url(crypto.createHash('sha256').update(String(code_verifier || '')).digest());
+      if (challenge !== record.codeChallenge) return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+    const subject = `mock|${crypto.createHash('sha256').update(record.profile.email).digest('hex').slice(0, 16)}`;
+    const claims = { sub: subject, email: record.profile.email, email_verified: true, name: record.profile.name, groups: record.profile.groups };
+    const idToken = jwt.sign({ ...claims, nonce: record.nonce }, privateKey, {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer: issuerOf(req),
+      audience: clientId,
+      expiresIn: TOKEN_TTL_SECONDS
+    });
+    const accessToken = base64Url(crypto.randomBytes(24));
+    accessTokens.set(accessToken, { claims, expiresAt: Date.now() + TOKEN_TTL_SECONDS * 1000 });
+    res.json({ token_type: 'Bearer', access_token: accessToken, id_token: idToken, expires_in: TOKEN_TTL_SECONDS });
+  });
+
+  router.get('/userinfo', (req, res) => {
+    const token = String(req.headers.authorization || '').replace(/^Bearer /, '');
+    const entry = accessTokens.get(token);
+    if (!entry || entry.expiresAt < Date.now()) return res.status(401).json({ error: 'invalid_token' });
+    res.json(entry.claims);
+  });
+
+  return router;
+};
+
+module.exports = { createMockIdpRouter };
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_IDP_PORT || '4010', 10);
+  const app = express();
+  app.use(createMockIdpRouter());
+  app.listen(port, () => console.log(`Mock OpenID Connect provider on http://localhost:${port}`));
+}
@@ -0,0 +1,236 @@
+/**
+ * Client Organizations
+ * A client organization is the practice behind a client portal. It owns the portal slug,
+ * the practice name and logo, the HubSpot records and the assigned projects, and with the
+ * slug everything keyed by it (inventory, client documents, service reports).
+ * Stored in `client_organizations`:
+ *   { id, name, slug, previousSlugs, logo, hubspotCompanyId, hubspotDealId, hubspotContactId,
+ *     hubspotLinkedAt, assignedProjects, projectAccessLevels, isNewClient, createdAt, updatedAt }
+ *
+ * Client users belong to one organization (`user.organizationId`). Members marked
+ * `isPracticeAdmin` can invite and manage colleagues from the portal. Members keep a copy of
+ * the organization fields (slug, practiceName, ...) so code that reads them from the user
+ * record keeps working; memberFieldsFor() is the copy to write whenever the organization changes.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+// Organization fields that callers may change, and the user field each is copied to
+const ORGANIZATION_MEMBER_FIELDS = {
+  name: 'practiceName',
+  slug: 'slug',
+  logo: 'logo',
+  hubspotCompanyId: 'hubspotCompanyId',
+  hubspotDealId: 'hubspotDealId',
+  hubspotContactId: 'hubspotContactId',
+  hubspotLinkedAt: 'hubspotLinkedAt',
+  assignedProjects: 'assignedProjects',
+  projectAccessLevels: 'projectAccessLevels',
+  isNewClient: 'isNewClient'
+};
+
+// Fields accepted from request bodies (practiceName is the user-record name for `name`)
+const EDITABLE_ORGANIZATION_FIELDS = ['name', 'logo', 'hubspotCompanyId', 'hubspotDealId', 'hubspotContactId', 'assignedProjects', 'projectAccessLevels', 'isNewClient'];
+
+/**
+ * New organization record
+ * @param {Object} fields - { name, slug, logo, hubspotCompanyId, ... }
+ * @returns {Object}
+ */
+const createOrganization = (fields) => {
+  const now = new Date().toISOString();
+  const hasHubSpot = !!(fields.hubspotCompanyId || fields.hubspotDealId || fields.hubspotContactId);
+  return {
+    id: uuidv4(),
+    name: fields.name || '',
+    slug: fields.slug,
+    previousSlugs: fields.previousSlugs || [],
+    logo: fields.logo || '',
+    hubspotCompanyId: fields.hubspotCompanyId || '',
+    hubspotDealId: fields.hubspotDealId || '',
+    hubspotContactId: fields.hubspotContactId || '',
+    hubspotLinkedAt: fields.hubspotLinkedAt || (hasHubSpot ? now : null),
+    assignedProjects: fields.assignedProjects || [],
+    projectAccessLevels: fields.projectAccessLevels || {},
+    isNewClient: fields.isNewClient || false,
+    createdAt: fields.createdAt || now,
+    updatedAt: now
+  };
+};
+
+/**
+ * Organization fields as they are copied onto each member's user record
+ * @param {Object} organization
+ * @returns {Object}
+ */
+const memberFieldsFor = (organization) => ({
+  organizationId: organization.id,
+  practiceName: organization.name || '',
+  slug: organization.slug,
+  // Old portal URLs redirect to the current slug (findClientBySlug)
+  previousSlugs: [...(organization.previousSlugs || [])],
+  logo: organization.logo || '',
+  hubspotCompanyId: organization.hubspotCompanyId || '',
+  hubspotDealId: organization.hubspotDealId || '',
+  hubspotContactId: organization.hubspotContactId || '',
+  hubspotLinkedAt: organization.hubspotLinkedAt || null,
+  // Copies, so members never share (and mutate) the organization's own array or object
+  assignedProjects: [...(organization.assignedProjects || [])],
+  projectAccessLevels: { ...(organization.projectAccessLevels || {}) },
+  isNewClient: !!organization.isNewClient
+});
+
+/**
+ * Pick the organization fields out of a request body. Accepts `practiceName` for `name`.
+ * @param {Object} body
+ * @returns {Object} Only the fields that were present
+ */
+const pickOrganizationChanges = (body = {}) => {
+  const changes = {};
+  for (const field of EDITABLE_ORGANIZATION_FIELDS) {
+    if (body[field] !== undefined) changes[field] = body[field];
+  }
+  if (body.practiceName !== undefined && changes.name === undefined) changes.name = body.practiceName;
+  return changes;
+};
+
+/**
+ * Apply changes to an organization in place. The caller works out a new slug (it needs
+ * every other organization's slug) and passes it as `changes.slug` when the name changes.
+ * @param {Object} organization
+ * @param {Object} changes - Output of pickOrganizationChanges(), optionally with slug
+ * @returns {{slugChanged: boolean, oldSlug: string, nameChanged: boolean, oldName: string}}
+ */
+const applyOrganizationChanges = (organization, changes) => {
+  const oldSlug = organization.slug;
+  const oldName = organization.name;
+  const hadHubSpot = !!(organization.hubspotCompanyId || organization.hubspotDealId || organization.hubspotContactId);
+  for (const [field, value] of Object.entries(changes)) {
+    if (field === 'slug' || ORGANIZATION_MEMBER_FIELDS[field]) organization[field] = value;
+  }
+  if (organization.slug !== oldSlug && oldSlug) {
+    organization.previousSlugs = [...new Set([...(organization.previousSlugs || []), oldSlug])];
+  }
+  // Record when HubSpot IDs are first linked - used to prevent retroactive ticket display
+  if (!hadHubSpot && (organization.hubspotCompanyId || organization.hubspotDealId || organization.hubspotContactId)) {
+    organization.hubspotLinkedAt = new Date().toISOString();
+  }
+  organization.updatedAt = new Date().toISOString();
+  return {
+    slugChanged: organization.slug !== oldSlug,
+    oldSlug,
+    nameChanged: organization.name !== oldName,
+    oldName
+  };
+};
+
+/**
+ * Group client users that have no organization yet into organizations, one per portal slug.
+ * Each group's fields come from its oldest member, with blanks filled from the others; the
+ * oldest member becomes practice admin unless someone in the group already is one.
+ * Slugs that already belong to an organization join it instead.
+ * @param {Array} users - All users (client users without organizationId are grouped)
+ * @param {Array} organizations - Existing organizations
+ * @returns {{created: Array, memberships: Object<string, {organizationId: string, isPracticeAdmin: boolean}>}}
+ */
+const groupClientUsersIntoOrganizations = (users, organizations = []) => {
+  const unassigned = users
+    .filter(u => u.role === 'client' && u.slug && !u.organizationId)
+    .sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+  const bySlug = new Map();
+  for (const user of unassigned) {
+    bySlug.set(user.slug, [...(bySlug.get(user.slug) || []), user]);
+  }
+
+  const created = [];
+  const memberships = {};
+  for (const [slug, members] of bySlug) {
+    let organization = organizations.find(o => o.slug === slug);
+    if (!organization) {
+      const firstWith = (field) => (members.find(m => m[field] && (!Array.isArray(m[field]) || m[field].length > 0)) || {})[field];
+      organization = createOrganization({
+        name: firstWith('practiceName') || members[0].name,
+        slug,
+        previousSlugs: [...new Set(members.flatMap(m => m.previousSlugs || []))],
+        logo: firstWith('logo'),
+        hubspotCompanyId: firstWith('hubspotCompanyId'),
+        hubspotDealId: firstWith('hubspotDealId'),
+        hubspotContactId: firstWith('hubspotContactId'),
+        hubspotLinkedAt: firstWith('hubspotLinkedAt'),
+        assignedProjects: [...new Set(members.flatMap(m => m.assignedProjects || []))],
+        projectAccessLevels: Object.assign({}, ...members.map(m => m.projectAccessLevels || {})),
+        isNewClient: members.some(m => m.isNewClient),
+        createdAt: members[0].createdAt
+      });
+      created.push(organization);
+    }
+    const groupHasAdmin = members.some(m => m.isPracticeAdmin) ||
+      users.some(u => u.organizationId === organization.id && u.isPracticeAdmin);
+    members.forEach((member, i) => {
+      memberships[member.id] = {
+        organizationId: organization.id,
+        isPracticeAdmin: member.isPracticeAdmin || (!groupHasAdmin && i === 0)
+      };
+    });
+  }
+  return { created, memberships };
+};
+
+/**
+ * Find the organization a record (ticket, service report) belongs to: by HubSpot company
+ * first, then by exact practice name (case-insensitive). Records that match neither stay
+ * unassigned rather than being guessed onto a similarly named practice.
+ * @param {Array} organizations
+ * @param {{hubspotCompanyId?: string, name?: string}} record
+ * @returns {Object|null}
+ */
+const findOrganizationForRecord = (organizations, { hubspotCompanyId, name } = {}) => {
+  if (hubspotCompanyId) {
+    const byCompany = organizations.find(o => o.hubspotCompanyId && String(o.hubspotCompanyId) === String(hubspotCompanyId));
+    if (byCompany) return byCompany;
+  }
+  const wanted = String(name || '').toLowerCase().trim();
+  if (!wanted) return null;
+  const orgName = (o) => String(o.name || '').toLowerCase().trim();
+  return organizations.find(o => orgName(o) === wanted) || null;
+};
+
+/**
+ * Organization with its members, for API responses (no secrets)
+ * @param {Object} organization
+ * @param {Array} users
+ * @returns {Object}
+ */
+const describeOrganization = (organization, users) => {
+  const members = users
+    .filter(u => u.organizationId === organization.id)
+    .map(u => ({
+      id: u.id,
+      name: u.name,
+      email: u.email,
+      phone: u.phone || '',
+      isPracticeAdmin: !!u.isPracticeAdmin,
+      accountStatus: u.accountStatus || 'active',
+      inviteStatus: u.inviteStatus || null,
+      inviteExpiresAt: u.inviteStatus === 'pending' ? u.inviteExpiresAt || null : null,
+      createdAt: u.createdAt
+    }))
+    .sort((a, b) => (b.isPracticeAdmin - a.isPracticeAdmin) || String(a.name || '').localeCompare(String(b.name || '')));
+  return {
+    ...organization,
+    practiceName: organization.name,
+    memberCount: members.length,
+    members
+  };
+};
+
+module.exports = {
+  ORGANIZATION_MEMBER_FIELDS,
+  createOrganization,
+  memberFieldsFor,
+  pickOrganizationChanges,
+  applyOrganizationChanges,
+  groupClientUsersIntoOrganizations,
+  findOrganizationForRecord,
+  describeOrganization
+};
@@ -1,5 +1,5 @@
 /**
- * PDF Generator for Service Reports and Validation Reports
+ * PDF Generator for Service Reports, Validation Reports and purchase order drafts
  * Uses pdfkit to generate professional PDF documents
  */
 
@@ -881,8 +881,134 @@ async function generateServiceReportWithAttachments(reportData, technicianName)
   return mergePDFBuffers([reportBuffer, ...attachmentBuffers]);
 }
 
+/**
+ * Generate a purchase order draft PDF from reorder suggestions
+ * @param {Object} order
+ * @param {string} order.title - e.g. the practice name, or "All Clients"
+ * @param {Array<{clientName: string, lines: Array}>} order.sections - One per client; lines are suggestReorders() output
+ * @returns {Promise<Buffer>} PDF as a Buffer
+ */
+function generatePurchaseOrderPDF(order) {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: 'LETTER',
+        margin: 50,
+        bufferPages: true
+      });
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const orderDate = new Date().toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+      });
+
+      // Header
+      doc.fontSize(14).fillColor(COLORS.primary).font('Helvetica-Bold');
+      doc.text('THRIVE 365 LABS', 50, 30);
+      doc.text('PURCHASE ORDER DRAFT', 300, 30, { align: 'right' });
+
+      doc.moveTo(50, 55).lineTo(562, 55).strokeColor(COLORS.primary).lineWidth(2).stroke();
+
+      let y = 70;
+      drawFieldRow(doc, 'For', order.title || '-', 50, y, 'Date', orderDate);
+      y += 18;
+      doc.fontSize(8).fillColor(COLORS.gray).font('Helvetica-Oblique');
+      doc.text('Quantities are suggestions from current stock, weekly usage, par levels, lead times and minimum order quantities. Review before ordering.', 50, y, { width: 512 });
+      y += 25;
+
+      // Columns: label, x offset, width
+      const columns = [
+        ['Category', 5, 95],
+        ['Item', 100, 170],
+        ['On Hand', 275, 45],
+        ['Weekly Use', 322, 50],
+        ['Lead (d)', 375, 40],
+        ['Par', 418, 35],
+        ['MOQ', 455, 35],
+        ['Order Qty', 495, 55]
+      ];
+      const drawHeader = () => {
+        doc.rect(50, y, 512, 18).fillColor(COLORS.headerBg).fill();
+        doc.fontSize(8).fillColor(COLORS.darkGray).font('Helvetica-Bold');
+        columns.forEach(([label, x, width]) => doc.text(label, 50 + x, y + 5, { width, lineBreak: false }));
+        y += 18;
+      };
+
+      const sections = (order.sections || []).filter(section => section.lines.length > 0);
+      if (sections.length === 0) {
+        doc.fontSize(10).fillColor(COLORS.black).font('Helvetica');
+        doc.text('Nothing needs reordering right now.', 50, y);
+      }
+
+      sections.forEach(section => {
+        if (y > 660) {
+          doc.addPage();
+          y = 50;
+        }
+        if (sections.length > 1 || section.clientName !== order.title) {
+          doc.fontSize(11).fillColor(COLORS.accent).font('Helvetica-Bold');
+          doc.text(section.clientName, 50, y);
+          doc.moveTo(50, y + 15).lineTo(250, y + 15).strokeColor(COLORS.accent).lineWidth(1).stroke();
+          y += 22;
+        }
+        drawHeader();
+
+        section.lines.forEach((line, i) => {
+          const itemHeight = doc.fontSize(8).font('Helvetica').heightOfString(line.itemName, { width: 170 });
+          const rowHeight = Math.max(16, itemHeight + 6);
+          if (y + rowHeight > 700) {
+            doc.addPage();
+            y = 50;
+            drawHeader();
+          }
+          if (i % 2 === 0) {
+            doc.rect(50, y, 512, rowHeight).fillColor(COLORS.tableBg).fill();
+          }
+          const values = [
+            line.category,
+            line.itemName,
+            String(line.currentQty),
+            String(line.weeklyRate),
+            String(line.leadTimeDays),
+            String(line.parLevel),
+            String(line.minOrderQty),
+            String(line.suggestedQty)
+          ];
+          doc.fontSize(8).fillColor(line.urgency === 'reorder' ? COLORS.black : '#B91C1C');
+          values.forEach((value, col) => {
+            const [, x, width] = columns[col];
+            doc.font(col === values.length - 1 ? 'Helvetica-Bold' : 'Helvetica');
+            doc.text(value, 50 + x, y + 4, { width, lineBreak: col === 1 });
+          });
+          y += rowHeight;
+        });
+
+        const totalUnits = section.lines.reduce((sum, line) => sum + line.suggestedQty, 0);
+        doc.fontSize(9).fillColor(COLORS.darkGray).font('Helvetica-Bold');
+        doc.text(`${section.lines.length} items, ${totalUnits} units`, 50, y + 5, { width: 505, align: 'right' });
+        y += 30;
+      });
+
+      // Footer
+      doc.fontSize(8).fillColor(COLORS.lightGray).font('Helvetica-Oblique');
+      doc.text(`Generated on ${new Date().toLocaleString()}`, 50, 720, { align: 'center', width: 512 });
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
 module.exports = {
   generateServiceReportPDF,
   generateValidationReportPDF,
-  generateServiceReportWithAttachments
+  generateServiceReportWithAttachments,
+  generatePurchaseOrderPDF
 };
@@ -0,0 +1,262 @@
+/**
+ * Roles & Permissions
+ * Every authorization check asks for a named permission (e.g. 'service_reports.assign')
+ * instead of a role or a boolean flag. Users hold one or more roles (`user.roleIds`);
+ * a role is just a named set of permissions, so new roles such as "Regional Manager"
+ * are created in the admin hub without code changes.
+ *
+ * Built-in roles mirror the access flags users had before roles existed
+ * (isManager, hasServicePortalAccess, hasAdminHubAccess, hasImplementationsAccess,
+ * hasClientPortalAdminAccess). Users without `roleIds` get roles derived from those
+ * flags, and the flags are still written back to user records (legacyFlagsFor) for
+ * the portals that read them. Accounts with role 'admin' always hold super_admin.
+ */
+
+const PERMISSION_GROUPS = ['Admin Hub', 'Users & Security', 'Implementations', 'Client Portal', 'Inventory', 'Service Portal', 'System'];
+
+const PERMISSIONS = {
+  'admin_hub.access': { group: 'Admin Hub', label: 'Open the Admin Hub and its dashboard' },
+  'notifications.manage': { group: 'Admin Hub', label: 'Notification queue, reminders, email templates and settings' },
+  'notifications.purge': { group: 'Admin Hub', label: 'Bulk-delete notification history' },
+  'email.send': { group: 'Admin Hub', label: 'Send emails and view email history' },
+  'feedback.manage': { group: 'Admin Hub', label: 'Feedback, bug reports and password reset requests' },
+  'activity_log.view': { group: 'Admin Hub', label: 'View the activity log' },
+  'knowledge.manage': { group: 'Admin Hub', label: 'Edit the knowledge base' },
+
+  'users.view': { group: 'Users & Security', label: 'View the user list' },
+  'users.create_clients': { group: 'Users & Security', label: 'Create client portal users' },
+  'users.manage': { group: 'Users & Security', label: 'Create, edit and delete any user and reset passwords' },
+  'roles.manage': { group: 'Users & Security', label: 'Edit roles and assign them to users' },
+  'security.manage': { group: 'Users & Security', label: 'Two-factor policy, sessions and sign-in lockouts' },
+
+  'implementations.access': { group: 'Implementations', label: 'Open the Launch (implementations) app' },
+  'projects.view_all': { group: 'Implementations', label: 'See every project, not only assigned ones' },
+  'projects.manage': { group: 'Implementations', label: 'Create, clone and edit any project, task and file' },
+  'projects.reschedule': { group: 'Implementations', label: 'Reschedule task dates on writable projects' },
+  'projects.delete': { group: 'Implementations', label: 'Delete projects' },
+  'templates.manage': { group: 'Implementations', label: 'Edit the template library and upgrade projects' },
+
+  'client_portal.admin': { group: 'Client Portal', label: 'Manage client details and announcements' },
+  'client_documents.manage': { group: 'Client Portal', label: 'Upload and remove client documents' },
+  'tickets.manage': { group: 'Client Portal', label: 'Portal tickets, ticket settings and HubSpot polling' },
+
+  'inventory.view_all': { group: 'Inventory', label: 'Inventory report across all clients' },
+  'inventory.export': { group: 'Inventory', label: 'Export inventory for all clients' },
+  'inventory.manage_template': { group: 'Inventory', label: 'Edit the inventory template' },
+  'inventory.delete_submissions': { group: 'Inventory', label: 'Delete inventory submissions' },
+
+  'service_portal.access': { group: 'Service Portal', label: 'Open the Service Portal and file reports' },
+  'service_reports.view_all': { group: 'Service Portal', label: 'See every service and validation report' },
+  'service_reports.edit_any': { group: 'Service Portal', label: "Edit other technicians' reports" },
+  'service_reports.assign': { group: 'Service Portal', label: 'Assign reports and manage their photos, files and notes' },
+  'service_reports.override': { group: 'Service Portal', label: 'Edit, complete or delete any report, including validations in progress' },
+
+  'settings.manage': { group: 'System', label: 'Portal settings and client portal domain' },
+  'integrations.manage': { group: 'System', label: 'HubSpot deals, uploads and stage mapping' },
+  'system.maintenance': { group: 'System', label: 'Reset test data and run data repairs' }
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+const SUPER_ADMIN_ROLE_ID = 'super_admin';
+
+// Permissions of the built-in roles are editable in the admin hub (except super_admin)
+const BUILT_IN_ROLES = [
+  {
+    id: SUPER_ADMIN_ROLE_ID,
+    name: 'Super Admin',
+    description: 'Full access to everything. Held by every admin account.',
+    permissions: ALL_PERMISSIONS,
+    locked: true
+  },
+  {
+    id: 'manager',
+    name: 'Manager',
+    description: 'Admin Hub, client portal administration and service report oversight',
+    permissions: [
+      'admin_hub.access', 'notifications.manage',
+      'users.view', 'users.create_clients',
+      'projects.reschedule',
+      'client_portal.admin',
+      'inventory.view_all', 'inventory.delete_submissions',
+      'service_portal.access', 'service_reports.view_all', 'service_reports.edit_any'
+    ]
+  },
+  {
+    id: 'service_manager',
+    name: 'Service Manager',
+    description: 'Assigns service reports to technicians',
+    permissions: ['service_portal.access', 'service_reports.view_all', 'service_reports.assign']
+  },
+  {
+    id: 'service_technician',
+    name: 'Service Technician',
+    description: 'Files service and validation reports. Held by every vendor account.',
+    permissions: ['service_portal.access']
+  },
+  {
+    id: 'admin_hub',
+    name: 'Admin Hub User',
+    description: 'Admin Hub notifications and email templates',
+    permissions: ['admin_hub.access', 'notifications.manage']
+  },
+  {
+    id: 'implementations',
+    name: 'Implementations',
+    description: 'Launch app access for assigned projects',
+    permissions: ['implementations.access']
+  },
+  {
+    id: 'client_portal_admin',
+    name: 'Client Portal Admin',
+    description: 'Client details, announcements and the cross-client inventory report',
+    permissions: ['client_portal.admin', 'users.view', 'inventory.view_all']
+  }
+];
+
+const BUILT_IN_ROLE_IDS = BUILT_IN_ROLES.map(r => r.id);
+
+/**
+ * Built-in roles with stored overrides applied, followed by custom roles
+ * @param {Array} storedRoles - Contents of the `roles` collection
+ * @returns {Array<{id, name, description, permissions, builtIn, locked}>}
+ */
+const mergeRoles = (storedRoles = []) => {
+  const storedById = new Map(storedRoles.map(r => [r.id, r]));
+  const builtIns = BUILT_IN_ROLES.map(role => {
+    const stored = storedById.get(role.id);
+    const permissions = role.locked || !stored ? role.permissions : stored.permissions;
+    return { ...role, ...(stored && !role.locked ? { updatedAt: stored.updatedAt } : {}), permissions: [...permissions], builtIn: true, locked: !!role.locked };
+  });
+  const custom = storedRoles
+    .filter(r => !BUILT_IN_ROLE_IDS.includes(r.id))
+    .map(r => ({ ...r, permissions: [...(r.permissions || [])], builtIn: false, locked: false }));
+  return [...builtIns, ...custom];
+};
+
+// Built-in role each legacy access flag turns on
+const LEGACY_FLAG_ROLES = {
+  isManager: 'manager',
+  hasServicePortalAccess: 'service_technician',
+  hasAdminHubAccess: 'admin_hub',
+  hasImplementationsAccess: 'implementations',
+  hasClientPortalAdminAccess: 'client_portal_admin'
+};
+
+/**
+ * Role ids implied by the pre-roles access flags
+ * @param {Object} user
+ * @returns {string[]}
+ */
+const legacyRoleIds = (user) => {
+  const ids = [];
+  if (user.isManager) ids.push('manager');
+  if (user.isManager && user.hasServicePortalAccess) ids.push('service_manager');
+  if (user.role === 'vendor' || user.hasServicePortalAccess) ids.push('service_technician');
+  if (user.hasAdminHubAccess) ids.push('admin_hub');
+  if (user.hasImplementationsAccess) ids.push('implementations');
+  if (user.hasClientPortalAdminAccess) ids.push('client_portal_admin');
+  return ids;
+};
+
+/**
+ * Role ids a user holds: explicit `roleIds` when set, otherwise derived from flags
+ * @param {Object} user
+ * @returns {string[]}
+ */
+const userRoleIds = (user) => {
+  const ids = Array.isArray(user.roleIds) ? [...user.roleIds] : legacyRoleIds(user);
+  if (user.role === 'admin' && !ids.includes(SUPER_ADMIN_ROLE_ID)) ids.unshift(SUPER_ADMIN_ROLE_ID);
+  if (user.role === 'vendor' && !ids.includes('service_technician')) ids.push('service_technician');
+  return ids;
+};
+
+/**
+ * Permissions granted by a set of roles
+ * @param {string[]} roleIds
+ * @param {Array} roles - Output of mergeRoles()
+ * @returns {string[]}
+ */
+const rolePermissions = (roleIds, roles) => {
+  if (roleIds.includes(SUPER_ADMIN_ROLE_ID)) return [...ALL_PERMISSIONS];
+  const granted = new Set();
+  for (const role of roles) {
+    if (!roleIds.includes(role.id)) continue;
+    for (const permission of role.permissions) granted.add(permission);
+  }
+  return ALL_PERMISSIONS.filter(p => granted.has(p));
+};
+
+/**
+ * Effective permissions for a user
+ * @param {Object} user
+ * @param {Array} roles - Output of mergeRoles()
+ * @returns {string[]}
+ */
+const resolvePermissions = (user, roles) => {
+  const permissions = rolePermissions(userRoleIds(user), roles);
+  // Team members assigned to projects can always open the Launch app for them
+  if ((user.assignedProjects || []).length > 0 && !permissions.includes('implementations.access')) {
+    return ALL_PERMISSIONS.filter(p => p === 'implementations.access' || permissions.includes(p));
+  }
+  return permissions;
+};
+
+/**
+ * True when the user (req.user, carrying `permissions`) holds any of the permissions
+ * @param {Object} user
+ * @param {...string} permissions
+ * @returns {boolean}
+ */
+const hasPermission = (user, ...permissions) =>
+  !!user && Array.isArray(user.permissions) && permissions.some(p => user.permissions.includes(p));
+
+/**
+ * Access flags kept on user records for code that predates roles. As before roles,
+ * a manager's own flags stay off unless another role grants them (isManager covers it).
+ * @param {string[]} roleIds
+ * @param {Array} roles - Output of mergeRoles()
+ * @returns {Object}
+ */
+const legacyFlagsFor = (roleIds, roles) => {
+  const permissions = rolePermissions(roleIds.filter(id => id !== 'manager' && id !== SUPER_ADMIN_ROLE_ID), roles);
+  return {
+    isManager: roleIds.includes('manager'),
+    hasServicePortalAccess: permissions.includes('service_portal.access'),
+    hasAdminHubAccess: permissions.includes('admin_hub.access'),
+    hasImplementationsAccess: permissions.includes('implementations.access'),
+    hasClientPortalAdminAccess: permissions.includes('client_portal.admin')
+  };
+};
+
+/**
+ * Validate a role create/update payload
+ * @param {Object} input - { name, description, permissions }
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateRoleInput = ({ name, permissions }) => {
+  if (!name || !String(name).trim()) return 'Role name is required';
+  if (String(name).trim().length > 60) return 'Role name must be 60 characters or fewer';
+  if (!Array.isArray(permissions)) return 'permissions must be an array';
+  const unknown = permissions.filter(p => !PERMISSIONS[p]);
+  if (unknown.length > 0) return `Unknown permission: ${unknown.join(', ')}`;
+  return null;
+};
+
+module.exports = {
+  PERMISSION_GROUPS,
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  SUPER_ADMIN_ROLE_ID,
+  BUILT_IN_ROLES,
+  BUILT_IN_ROLE_IDS,
+  LEGACY_FLAG_ROLES,
+  mergeRoles,
+  legacyRoleIds,
+  userRoleIds,
+  rolePermissions,
+  resolvePermissions,
+  hasPermission,
+  legacyFlagsFor,
+  validateRoleInput
+};
@@ -47,6 +47,26 @@ const STANDARD_PHASES = {
 
 const PHASE_ORDER = ['Phase 1', 'Phase 2', 'Phase 3', 'Phase 4', 'Phase 5', 'Phase 6', 'Phase 7', 'Phase 8', 'Phase 9', 'Phase 10'];
 
+// Template library metadata (mirrors config.js)
+const TEMPLATE_CERTIFICATION_TYPES = ['CLIA waived', 'CLIA moderate complexity', 'CLIA high complexity'];
+const TEMPLATE_LAB_SIZES = ['small', 'medium', 'large'];
+
+// e.g. "Biolis AU480 · CLIA moderate complexity · small lab"
+const describeTemplateMetadata = (template) => [
+  template.analyzerModel,
+  template.certificationType,
+  template.labSize ? `${template.labSize} lab` : ''
+].filter(Boolean).join(' · ');
+
+// Permission check for the signed-in user, mirroring the server's. Users saved before roles
+// existed carry no `permissions` list, so fall back to their old manager flag.
+const userCan = (user, permission) => {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  if (Array.isArray(user.permissions)) return user.permissions.includes(permission);
+  return permission === 'projects.reschedule' && !!user.isManager;
+};
+
 // Helper to format date for display (handles ISO, YYYY-MM-DD, and locale formats)
 const formatDateForDisplay = (dateStr) => {
   if (!dateStr) return '';
@@ -120,15 +140,28 @@ const handleResponse = async (response) => {
       }
     }
     let errorMessage = `HTTP error ${response.status}`;
+    let conflict = null;
+    let blockedBy = null;
     try {
       const errorData = await response.json();
       if (errorData.error) {
         errorMessage = errorData.error;
       }
+      // 409 from an optimistic-concurrency check carries the server's current copy
+      if (errorData.conflict) {
+        conflict = errorData;
+      }
+      // 400 from the dependency check lists the open predecessors
+      if (Array.isArray(errorData.blockedBy)) {
+        blockedBy = errorData.blockedBy;
+      }
     } catch (parseError) {
       // JSON parsing failed, use default HTTP error message
     }
-    throw new Error(errorMessage);
+    const error = new Error(errorMessage);
+    if (conflict) error.conflict = conflict;
+    if (blockedBy) error.blockedBy = blockedBy;
+    throw error;
   }
   return response.json();
 };
@@ -141,11 +174,11 @@ const api = {
       body: JSON.stringify({ email, password, name })
     }).then(handleResponse).catch(err => ({ error: err.message || 'Network error' })),
 
-  login: (email, password) =>
+  login: (email, password, secondFactor = {}) =>
     fetch(`${API_URL}/api/auth/login`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ email, password })
+      body: JSON.stringify({ email, password, ...secondFactor })
     }).then(handleResponse).catch(err => ({ error: err.message || 'Network error' })),
 
   getProjects: (token) =>
@@ -202,7 +235,7 @@ const api = {
         'Content-Type': 'application/json'
       },
       body: JSON.stringify(updates)
-    }).then(handleResponse).catch(err => ({ error: err.message || 'Network error' })),
+    }).then(handleResponse).catch(err => ({ error: err.message || 'Network error', conflict: err.conflict, blockedBy: err.blockedBy })),
 
   deleteTask: (token, projectId, taskId) =>
     fetch(`${API_URL}/api/projects/${projectId}/tasks/${taskId}`, {
@@ -210,20 +243,60 @@ const api = {
       headers: { 'Authorization': `Bearer ${token}` }
     }).then(handleResponse).catch(err => ({ error: err.message || 'Network error' })),
 
+  getCriticalPath: (token, projectId) =>
+    fetch(`${API_URL}/api/projects/${projectId}/critical-path`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    }).then(handleResponse).catch(err => ({ error: err.message || 'Network error' })),
+
+  previewReschedule: (token, projectId, taskId, request) =>
+    fetch(`${API_URL}/api/projects/${projectId}/tasks/${taskId}/reschedule/preview`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(request)
+    }).then(handleResponse).catch(err => ({ error: err.message || 'Network error' })),
+
+  getTemplateDiff: (token, projectId) =>
+    fetch(`${API_URL}/api/projects/${projectId}/template-diff`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    }).then(handleResponse).catch(err => ({ error: err.message || 'Network error' })),
+
+  applyTemplateUpgrade: (token, projectId, request) =>
+    fetch(`${API_URL}/api/projects/${projectId}/template-upgrade`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(request)
+    }).then(handleResponse).catch(err => ({ error: err.message || 'Network error', conflict: err.conflict })),
+
+  rescheduleTask: (token, projectId, taskId, request) =>
+    fetch(`${API_URL}/api/projects/${projectId}/tasks/${taskId}/reschedule`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(request)
+    }).then(handleResponse).catch(err => ({ error: err.message || 'Network error', conflict: err.conflict })),
+
   deleteProject: (token, projectId) =>
     fetch(`${API_URL}/api/projects/${projectId}`, {
       method: 'DELETE',
       headers: { 'Authorization': `Bearer ${token}` }
     }).then(handleResponse).catch(err => ({ error: err.message || 'Network error' })),
 
-  cloneProject: (token, projectId, name) =>
+  cloneProject: (token, projectId, name, dates = {}) =>
     fetch(`${API_URL}/api/projects/${projectId}/clone`, {
       method: 'POST',
       headers: {
         'Authorization': `Bearer ${token}`,
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify({ name })
+      body: JSON.stringify({ name, ...dates })
     }).then(handleResponse).catch(err => ({ error: err.message || 'Network error' })),
 
   cloneTemplate: (token, templateId, name) =>
@@ -286,6 +359,11 @@ const api = {
       headers: { 'Authorization': `Bearer ${token}` }
     }).then(handleResponse).catch(err => ({ error: err.message || 'Network error' })),
 
+  getPhaseAnalytics: (token) =>
+    fetch(`${API_URL}/api/reporting/phases`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    }).then(handleResponse).catch(err => ({ error: err.message || 'Network error' })),
+
   getProjectActiveValidations: (token, projectId) =>
     fetch(`${API_URL}/api/projects/${projectId}/active-validations`, {
       headers: { 'Authorization': `Bearer ${token}` }
@@ -922,6 +1000,9 @@ const AuthScreen = ({ onLogin }) => {
   const [error, setError] = useState('');
   const [message, setMessage] = useState('');
   const [loading, setLoading] = useState(false);
+  // Set once the server asks for a code from the user's authenticator app
+  const [mfaStep, setMfaStep] = useState(false);
+  const [mfaCode, setMfaCode] = useState('');
 
   const handleSubmit = async () => {
     setError('');
@@ -947,11 +1028,22 @@ const AuthScreen = ({ onLogin }) => {
           return;
         }
       } else {
-        result = await api.login(email, password);
+        const secondFactor = !mfaStep ? {} : /^\d{6}$/.test(mfaCode.trim()) ? { mfaCode: mfaCode.trim() } : { recoveryCode: mfaCode };
+        result = await api.login(email, password, secondFactor);
+        if (result.mfaRequired && !result.error) {
+          setMfaStep(true);
+          setMessage(result.message);
+          return;
+        }
+        if (result.mfaSetupRequired && !result.error) {
+          setError(`Two-factor authentication is required for your account. Sign in once at the Portal Hub (${window.location.origin}/login) to set it up.`);
+          return;
+        }
         if (!result.error) {
           onLogin(result.token, result.user);
           return;
         }
+        setMfaCode('');
       }
       if (result.error) setError(result.error);
     } catch (err) {
@@ -1028,6 +1120,21 @@ const AuthScreen = ({ onLogin }) => {
             </div>
           )}
 
+          {mode === 'login' && mfaStep && (
+            <div>
+              <label className="block text-sm font-medium mb-2">Authentication Code</label>
+              <input
+                type="text"
+                value={mfaCode}
+                onChange={(e) => setMfaCode(e.target.value)}
+                className="w-full px-3 py-2 border rounded-md tracking-widest"
+                placeholder="6-digit code or recovery code"
+                autoComplete="one-time-code"
+                disabled={loading}
+              />
+            </div>
+          )}
+
           <button
             onClick={handleSubmit}
             disabled={loading}
@@ -1133,7 +1240,10 @@ const ProjectList = ({ token, user, onSelectProject, onLogout, onManageTemplates
     hubspotRecordId: '',
     hubspotDealStage: '',
     hubspotPipelineId: '',
-    template: ''
+    template: '',
+    modules: [],
+    contractSignedDate: '',
+    goLiveDate: ''
   });
   const [hubspotStages, setHubspotStages] = useState([]);
 
@@ -1250,7 +1360,10 @@ const ProjectList = ({ token, user, onSelectProject, onLogout, onManageTemplates
         hubspotRecordId: '',
         hubspotDealStage: '',
         hubspotPipelineId: '',
-        template: ''
+        template: '',
+        modules: [],
+        contractSignedDate: '',
+        goLiveDate: ''
       });
       loadProjects();
     } catch (err) {
@@ -1352,8 +1465,10 @@ const ProjectList = ({ token, user, onSelectProject, onLogout, onManageTemplates
   const handleCloneProject = async (project) => {
     const newName = prompt(`Enter name for the cloned project:`, `${project.name} (Copy)`);
     if (!newName) return;
+    const goLiveDate = prompt('Target go-live date for the clone (YYYY-MM-DD). Tasks with template date rules are rescheduled from it and from today as the contract date:', project.goLiveDate || '');
+    if (goLiveDate === null) return;
     try {
-      const result = await api.cloneProject(token, project.id, newName);
+      const result = await api.cloneProject(token, project.id, newName, { goLiveDate: goLiveDate.trim() });
       if (result && result.error) {
         alert(result.error);
         return;
@@ -1569,13 +1684,39 @@ const ProjectList = ({ token, user, onSelectProject, onLogout, onManageTemplates
                 className="w-full px-3 py-2 border rounded-md"
               >
                 <option value="">No Template (start empty)</option>
-                {templates.map(t => (
+                {templates.filter(t => t.kind !== 'module').map(t => (
                   <option key={t.id} value={t.id}>
-                    {t.name} ({t.taskCount} tasks){t.isDefault ? ' - Default' : ''}
+                    {t.name} ({t.taskCount} tasks){describeTemplateMetadata(t) ? ` - ${describeTemplateMetadata(t)}` : ''}{t.isDefault ? ' - Default' : ''}
                   </option>
                 ))}
               </select>
             </div>
+            {templates.some(t => t.kind === 'module') && (
+              <div className="mb-4">
+                <label className="block text-sm font-medium mb-1">Add Modules (Optional)</label>
+                <p className="text-xs text-gray-500 mb-2">Stack extra task blocks onto the template, e.g. LIS integration or hiring.</p>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                  {templates.filter(t => t.kind === 'module').map(m => (
+                    <label key={m.id} className="flex items-start gap-2 p-2 border rounded-md cursor-pointer hover:bg-gray-50">
+                      <input
+                        type="checkbox"
+                        checked={newProject.modules.includes(m.id)}
+                        onChange={(e) => setNewProject({
+                          ...newProject,
+                          modules: e.target.checked ? [...newProject.modules, m.id] : newProject.modules.filter(id => id !== m.id)
+                        })}
+                        className="mt-1"
+                      />
+                      <span className="text-sm">
+                        <span className="font-medium text-gray-800">{m.name}</span>
+                        <span className="text-gray-500"> ({m.taskCount} tasks)</span>
+                        {m.description && <span className="block text-xs text-gray-500">{m.description}</span>}
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
             <div className="space-y-4">
               <div>
                 <label className="block text-sm font-medium mb-1">Project Name *</label>
@@ -1604,6 +1745,28 @@ const ProjectList = ({ token, user, onSelectProject, onLogout, onManageTemplates
                   className="w-full px-3 py-2 border rounded-md"
                 />
               </div>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Contract Signed Date</label>
+                  <input
+                    type="date"
+                    value={newProject.contractSignedDate}
+                    onChange={(e) => setNewProject({...newProject, contractSignedDate: e.target.value})}
+                    className="w-full px-3 py-2 border rounded-md"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Defaults to today</p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Target Go-Live Date</label>
+                  <input
+                    type="date"
+                    value={newProject.goLiveDate}
+                    onChange={(e) => setNewProject({...newProject, goLiveDate: e.target.value})}
+                    className="w-full px-3 py-2 border rounded-md"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Template tasks scheduled relative to go-live stay undated without it</p>
+                </div>
+              </div>
               <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
                 <h3 className="font-medium text-blue-900 mb-2">HubSpot Integration</h3>
                 <div className="space-y-3">
@@ -2571,6 +2734,9 @@ const ProjectList = ({ token, user, onSelectProject, onLogout, onManageTemplates
                             {activity.action === 'updated' && 'updated task'}
                             {activity.action === 'created' && `created ${activity.entityType}`}
                             {activity.action === 'deleted' && `deleted ${activity.entityType}`}
+                            {activity.entityType === 'security' && activity.details && (
+                              <span className="text-red-600">{activity.details.message}</span>
+                            )}
                           </span>
                         </div>
                         <span className="text-xs text-gray-400">
@@ -3065,6 +3231,327 @@ const CalendarView = ({ tasks, viewMode, onScrollToTask }) => {
   );
 };
 
+// ============== GANTT VIEW COMPONENT ==============
+// Dates are handled as whole UTC days so bars line up regardless of the viewer's timezone
+const GANTT_DAY_MS = 24 * 60 * 60 * 1000;
+const ganttToDay = (dateStr) => {
+  const normalized = normalizeDateForInput(dateStr);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(normalized || '')) return null;
+  const [y, m, d] = normalized.split('-').map(Number);
+  return Math.round(Date.UTC(y, m - 1, d) / GANTT_DAY_MS);
+};
+const ganttFromDay = (day) => new Date(day * GANTT_DAY_MS).toISOString().split('T')[0];
+
+const GanttView = ({ tasks, viewMode, getPhaseColor, canDragTask, onReschedule, criticalTaskIds = [], onScrollToTask }) => {
+  const [zoom, setZoom] = useState('week');
+  const [drag, setDrag] = useState(null); // { taskId, mode: 'move'|'start'|'end', originX, deltaDays }
+  const [saving, setSaving] = useState(null);
+
+  const dayWidth = zoom === 'day' ? 32 : zoom === 'week' ? 12 : 4;
+  const rowHeight = 32;
+  const headerHeight = 40;
+
+  const getTaskName = (task) =>
+    (viewMode === 'client' && task.clientName) ? task.clientName : task.taskTitle;
+
+  // Bar extent in days: start..end inclusive. Tasks with only a due date are one-day milestones.
+  const getSpan = (task) => {
+    const due = ganttToDay(task.dueDate);
+    const start = ganttToDay(task.startDate);
+    if (due === null && start === null) return null;
+    const duration = parseInt(task.duration, 10) > 0 ? parseInt(task.duration, 10) : 0;
+    const end = due !== null ? due : start + duration;
+    return { start: start !== null ? Math.min(start, end) : end - duration, end };
+  };
+
+  // Apply the in-progress drag to a span
+  const getDraggedSpan = (task, span) => {
+    if (!drag || drag.taskId !== task.id || !span) return span;
+    if (drag.mode === 'move') return { start: span.start + drag.deltaDays, end: span.end + drag.deltaDays };
+    if (drag.mode === 'start') return { start: Math.min(span.start + drag.deltaDays, span.end), end: span.end };
+    return { start: span.start, end: Math.max(span.end + drag.deltaDays, span.start) };
+  };
+
+  // Rows: a header per phase followed by its tasks (dated first, by start date)
+  const rows = [];
+  PHASE_ORDER.forEach(phase => {
+    const phaseTasks = tasks.filter(t => (t.phase || 'Phase 1') === phase);
+    if (phaseTasks.length === 0) return;
+    rows.push({ type: 'phase', phase });
+    [...phaseTasks]
+      .sort((a, b) => {
+        const sa = getSpan(a);
+        const sb = getSpan(b);
+        if (!sa && !sb) return 0;
+        if (!sa) return 1;
+        if (!sb) return -1;
+        return sa.start - sb.start;
+      })
+      .forEach(task => rows.push({ type: 'task', task }));
+  });
+
+  const spans = {};
+  tasks.forEach(task => { spans[task.id] = getSpan(task); });
+  const datedSpans = Object.values(spans).filter(Boolean);
+  const today = ganttToDay(new Date().toISOString());
+  const rangeStart = (datedSpans.length > 0 ? Math.min(...datedSpans.map(s => s.start), today) : today) - 7;
+  const rangeEnd = (datedSpans.length > 0 ? Math.max(...datedSpans.map(s => s.end), today) : today + 30) + 14;
+  const totalDays = rangeEnd - rangeStart + 1;
+  const chartWidth = totalDays * dayWidth;
+
+  const rowIndexById = {};
+  rows.forEach((row, idx) => { if (row.type === 'task') rowIndexById[row.task.id] = idx; });
+  const barGeometry = (task) => {
+    const span = getDraggedSpan(task, spans[task.id]);
+    if (!span) return null;
+    return {
+      x: (span.start - rangeStart) * dayWidth,
+      width: Math.max((span.end - span.start + 1) * dayWidth, dayWidth),
+      y: rowIndexById[task.id] * rowHeight,
+      span
+    };
+  };
+
+  // Predecessors still open must be due before this task starts
+  const findDependencyViolation = (task, span) => {
+    for (const depId of task.dependencies || []) {
+      const dep = tasks.find(t => String(t.id) === String(depId));
+      if (!dep || dep.completed) continue;
+      const depSpan = spans[dep.id];
+      if (depSpan && span.start < depSpan.end) return dep;
+    }
+    return null;
+  };
+
+  // Month labels (and week ticks) for the header
+  const monthMarks = [];
+  const weekMarks = [];
+  for (let day = rangeStart; day <= rangeEnd; day++) {
+    const date = new Date(day * GANTT_DAY_MS);
+    if (date.getUTCDate() === 1 || day === rangeStart) {
+      monthMarks.push({ day, label: date.toLocaleDateString(undefined, { month: 'short', year: 'numeric', timeZone: 'UTC' }) });
+    }
+    if (date.getUTCDay() === 1) weekMarks.push({ day, label: date.getUTCDate() });
+  }
+
+  const handlePointerDown = (e, task, mode) => {
+    if (!canDragTask(task) || saving) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setDrag({ taskId: task.id, mode, originX: e.clientX, deltaDays: 0 });
+  };
+
+  useEffect(() => {
+    if (!drag) return;
+    const handleMove = (e) => {
+      const deltaDays = Math.round((e.clientX - drag.originX) / dayWidth);
+      if (deltaDays !== drag.deltaDays) setDrag(prev => prev && { ...prev, deltaDays });
+    };
+    const handleUp = async () => {
+      const current = drag;
+      setDrag(null);
+      if (!current || current.deltaDays === 0) return;
+      const task = tasks.find(t => t.id === current.taskId);
+      const original = spans[task.id];
+      const span = (() => {
+        if (current.mode === 'move') return { start: original.start + current.deltaDays, end: original.end + current.deltaDays };
+        if (current.mode === 'start') return { start: Math.min(original.start + current.deltaDays, original.end), end: original.end };
+        return { start: original.start, end: Math.max(original.end + current.deltaDays, original.start) };
+      })();
+      const blocker = findDependencyViolation(task, span);
+      if (blocker) {
+        alert(`"${task.taskTitle}" can't start before its dependency "${blocker.taskTitle}" is due (${blocker.dueDate}).`);
+        return;
+      }
+      const updates = { dueDate: ganttFromDay(span.end) };
+      // Keep a start date only where the task had one or its length is being set explicitly
+      if (task.startDate || current.mode === 'start' || span.end > span.start) {
+        updates.startDate = ganttFromDay(span.start);
+      }
+      setSaving(task.id);
+      try {
+        await onReschedule(task.id, updates);
+      } finally {
+        setSaving(null);
+      }
+    };
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+    };
+  }, [drag, dayWidth, tasks]);
+
+  const getBarClass = (task, violation) => {
+    if (violation) return 'bg-red-400';
+    if (task.completed) return 'bg-green-400';
+    if (criticalTaskIds.includes(String(task.id))) return 'bg-red-600';
+    return 'bg-primary';
+  };
+
+  // Dependency arrows from the end of each predecessor bar to the start of its dependent
+  const arrows = [];
+  rows.forEach(row => {
+    if (row.type !== 'task') return;
+    const to = barGeometry(row.task);
+    if (!to) return;
+    (row.task.dependencies || []).forEach(depId => {
+      const dep = tasks.find(t => String(t.id) === String(depId));
+      const from = dep && barGeometry(dep);
+      if (!from) return;
+      const x1 = from.x + from.width;
+      const y1 = from.y + rowHeight / 2;
+      const x2 = to.x;
+      const y2 = to.y + rowHeight / 2;
+      const bend = Math.max(x1 + 6, Math.min(x2 - 6, x1 + 12));
+      arrows.push({
+        key: `${dep.id}-${row.task.id}`,
+        path: `M ${x1} ${y1} H ${bend} V ${y2} H ${x2 - 2}`,
+        late: !dep.completed && !row.task.completed && from.span.end > to.span.start
+      });
+    });
+  });
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <div className="flex items-center justify-between flex-wrap gap-3 mb-4">
+        <h2 className="text-2xl font-bold">Gantt Chart</h2>
+        <div className="flex items-center gap-2">
+          {['day', 'week', 'month'].map(level => (
+            <button
+              key={level}
+              onClick={() => setZoom(level)}
+              className={`px-3 py-1 rounded-md text-sm capitalize ${zoom === level ? 'bg-primary text-white' : 'bg-gray-200 text-gray-700'}`}
+            >
+              {level}
+            </button>
+          ))}
+        </div>
+      </div>
+      {viewMode === 'internal' && (
+        <p className="text-xs text-gray-500 mb-3">
+          Drag a bar to move a task, or drag its edges to change the start or due date. Tasks can't be moved ahead of open dependencies.
+        </p>
+      )}
+
+      <div className="flex border rounded-lg overflow-hidden select-none">
+        {/* Task names */}
+        <div className="w-64 flex-shrink-0 border-r bg-gray-50">
+          <div className="border-b text-xs font-medium text-gray-500 uppercase px-3 flex items-end pb-2" style={{ height: headerHeight }}>Task</div>
+          {rows.map(row => row.type === 'phase' ? (
+            <div key={`phase-${row.phase}`} className={`px-3 flex items-center text-xs font-semibold text-gray-700 border-b border-l-4 ${getPhaseColor(row.phase)}`} style={{ height: rowHeight }}>
+              {phaseNames[row.phase] || row.phase}
+            </div>
+          ) : (
+            <div key={row.task.id} className="px-3 flex items-center border-b bg-white" style={{ height: rowHeight }}>
+              <button
+                onClick={() => onScrollToTask && onScrollToTask(row.task.id)}
+                className={`text-sm truncate text-left hover:text-primary ${row.task.completed ? 'text-gray-400 line-through' : 'text-gray-800'}`}
+                title={getTaskName(row.task)}
+              >
+                {getTaskName(row.task)}
+              </button>
+            </div>
+          ))}
+        </div>
+
+        {/* Chart */}
+        <div className="flex-1 overflow-x-auto">
+          <div className="relative" style={{ width: chartWidth, height: headerHeight + rows.length * rowHeight }}>
+            <div className="absolute top-0 left-0 right-0 border-b bg-gray-50" style={{ height: headerHeight }}>
+              {monthMarks.map(mark => (
+                <div key={`m-${mark.day}`} className="absolute top-1 text-xs font-medium text-gray-600 whitespace-nowrap pl-1 border-l border-gray-300" style={{ left: (mark.day - rangeStart) * dayWidth }}>
+                  {mark.label}
+                </div>
+              ))}
+              {zoom !== 'month' && weekMarks.map(mark => (
+                <div key={`w-${mark.day}`} className="absolute bottom-1 text-[10px] text-gray-400 pl-1" style={{ left: (mark.day - rangeStart) * dayWidth }}>
+                  {mark.label}
+                </div>
+              ))}
+            </div>
+
+            <div className="absolute left-0 right-0" style={{ top: headerHeight, height: rows.length * rowHeight }}>
+              {rows.map((row, idx) => (
+                <div
+                  key={row.type === 'phase' ? `bg-${row.phase}` : `bg-${row.task.id}`}
+                  className={`absolute left-0 right-0 border-b ${row.type === 'phase' ? 'bg-gray-50' : ''}`}
+                  style={{ top: idx * rowHeight, height: rowHeight }}
+                />
+              ))}
+              {weekMarks.map(mark => (
+                <div key={`grid-${mark.day}`} className="absolute top-0 bottom-0 border-l border-gray-100" style={{ left: (mark.day - rangeStart) * dayWidth }} />
+              ))}
+              <div className="absolute top-0 bottom-0 border-l-2 border-amber-400" style={{ left: (today - rangeStart) * dayWidth }} title="Today" />
+
+              <svg className="absolute inset-0 pointer-events-none" width={chartWidth} height={rows.length * rowHeight}>
+                <defs>
+                  <marker id="gantt-arrow" markerWidth="6" markerHeight="6" refX="5" refY="3" orient="auto">
+                    <path d="M0,0 L6,3 L0,6 Z" fill="#9ca3af" />
+                  </marker>
+                  <marker id="gantt-arrow-late" markerWidth="6" markerHeight="6" refX="5" refY="3" orient="auto">
+                    <path d="M0,0 L6,3 L0,6 Z" fill="#dc2626" />
+                  </marker>
+                </defs>
+                {arrows.map(arrow => (
+                  <path
+                    key={arrow.key}
+                    d={arrow.path}
+                    fill="none"
+                    stroke={arrow.late ? '#dc2626' : '#9ca3af'}
+                    strokeWidth="1.5"
+                    markerEnd={`url(#${arrow.late ? 'gantt-arrow-late' : 'gantt-arrow'})`}
+                  />
+                ))}
+              </svg>
+
+              {rows.map(row => {
+                if (row.type !== 'task') return null;
+                const task = row.task;
+                const bar = barGeometry(task);
+                if (!bar) return null;
+                const draggable = canDragTask(task);
+                const violation = drag && drag.taskId === task.id ? findDependencyViolation(task, bar.span) : null;
+                const isMilestone = bar.span.start === bar.span.end;
+                return (
+                  <div
+                    key={`bar-${task.id}`}
+                    className={`absolute rounded ${getBarClass(task, violation)} ${draggable ? 'cursor-move' : ''} ${saving === task.id ? 'opacity-50' : ''} ${isMilestone ? 'ring-2 ring-white' : ''} shadow-sm`}
+                    style={{ left: bar.x, width: bar.width, top: bar.y + 6, height: rowHeight - 12 }}
+                    title={`${getTaskName(task)}\n${ganttFromDay(bar.span.start)} → ${ganttFromDay(bar.span.end)}${violation ? `\nStarts before "${violation.taskTitle}" is due` : ''}`}
+                    onPointerDown={(e) => handlePointerDown(e, task, 'move')}
+                  >
+                    {draggable && (
+                      <>
+                        <div className="absolute left-0 top-0 bottom-0 w-1.5 cursor-ew-resize" onPointerDown={(e) => handlePointerDown(e, task, 'start')} />
+                        <div className="absolute right-0 top-0 bottom-0 w-1.5 cursor-ew-resize" onPointerDown={(e) => handlePointerDown(e, task, 'end')} />
+                      </>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="mt-4 flex items-center gap-6 text-sm flex-wrap">
+        <div className="flex items-center gap-2"><div className="w-4 h-3 bg-primary rounded"></div><span className="text-gray-600">Scheduled</span></div>
+        {criticalTaskIds.length > 0 && (
+          <div className="flex items-center gap-2"><div className="w-4 h-3 bg-red-600 rounded"></div><span className="text-gray-600">Critical path</span></div>
+        )}
+        <div className="flex items-center gap-2"><div className="w-4 h-3 bg-green-400 rounded"></div><span className="text-gray-600">Completed</span></div>
+        <div className="flex items-center gap-2"><div className="w-4 border-t-2 border-red-600"></div><span className="text-gray-600">Dependency overlap</span></div>
+        <div className="flex items-center gap-2"><div className="w-0 h-4 border-l-2 border-amber-400"></div><span className="text-gray-600">Today</span></div>
+        {tasks.some(t => !spans[t.id]) && (
+          <span className="text-gray-400">{tasks.filter(t => !spans[t.id]).length} task(s) without dates are listed but not drawn</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
 // ============== SOFT-PILOT CHECKLIST COMPONENT ==============
 const SoftPilotChecklist = ({ token, project, tasks, teamMembers, onClose, onSubmitSuccess, onTaskUpdate }) => {
   const [signature, setSignature] = useState({ name: '', title: '', date: new Date().toISOString().split('T')[0] });
@@ -3464,12 +3951,19 @@ const ProjectTracker = ({ token, user, project: initialProject, scrollToTaskId,
   const [emailSending, setEmailSending] = useState(false);
   const [emailHistory, setEmailHistory] = useState([]);
   const [showEmailHistory, setShowEmailHistory] = useState(false);
+  const [taskConflict, setTaskConflict] = useState(null);
+  const [showCriticalPath, setShowCriticalPath] = useState(false);
+  const [criticalPath, setCriticalPath] = useState(null);
+  const [criticalPathError, setCriticalPathError] = useState('');
+  const [reschedule, setReschedule] = useState(null);
+  const [templateUpgrade, setTemplateUpgrade] = useState(null);
 
   const isAdmin = user.role === 'admin';
   const isProjectAdmin = (user.projectAccessLevels || {})[project.id] === 'admin';
   const userAccessLevel = isAdmin ? 'edit' : ((user.projectAccessLevels || {})[project.id] || 'edit');
   const canEdit = isAdmin || userAccessLevel === 'edit';
   const canManagePublish = isAdmin || isProjectAdmin;
+  const canReschedule = canEdit && userCan(user, 'projects.reschedule');
 
   const handleTogglePublishedStatus = async () => {
     const newStatus = (project.publishedStatus || 'published') === 'draft' ? 'published' : 'draft';
@@ -3507,25 +4001,34 @@ const ProjectTracker = ({ token, user, project: initialProject, scrollToTaskId,
     
     setCreatingTemplate(true);
     try {
+      // Recurring occurrences collapse back into their first occurrence, which carries the recurrence rule
+      const sourceTasks = tasks.filter(task => !task.recurrenceOf);
+
       // Create ID mapping from original task IDs to new sequential IDs
       const idMap = {};
-      tasks.forEach((task, idx) => {
+      sourceTasks.forEach((task, idx) => {
         idMap[task.id] = idx + 1;
       });
+      tasks.filter(task => task.recurrenceOf).forEach(task => {
+        idMap[task.id] = idMap[task.recurrenceOf];
+      });
       
       // Create template tasks from current project tasks
       // Preserve task structure but exclude runtime data, due dates, and owners (these change per project)
-      const templateTasks = tasks.map((task, idx) => ({
+      const templateTasks = sourceTasks.map((task, idx) => ({
         id: idx + 1,
-        taskTitle: task.taskTitle,
+        taskTitle: task.recurrenceIndex ? task.taskTitle.replace(/ \(\d+\/\d+\)$/, '') : task.taskTitle,
         phase: task.phase,
         stage: task.stage,
+        // Relative-date and recurrence rules are re-applied when a project is created from the template
+        ...(task.dateRule ? { dateRule: task.dateRule, duration: task.duration || 0 } : {}),
+        ...(task.recurrence ? { recurrence: task.recurrence } : {}),
         showToClient: task.showToClient !== undefined ? task.showToClient : true,
         clientName: task.clientName || '',
         description: task.description || '',
         tags: task.tags || [],
         // Remap dependencies to new sequential IDs
-        dependencies: (task.dependencies || []).map(depId => idMap[depId]).filter(Boolean),
+        dependencies: [...new Set((task.dependencies || []).map(depId => idMap[depId]).filter(Boolean))],
         order: task.order || idx + 1,
         stageOrder: task.stageOrder || idx + 1,
         // Subtasks: preserve structure but reset completion status and exclude due dates
@@ -3715,7 +4218,7 @@ const ProjectTracker = ({ token, user, project: initialProject, scrollToTaskId,
         return;
       }
       if (result && result.skipped && result.skipped.length > 0) {
-        alert(`${result.skipped.length} task(s) skipped: ${result.skipped.map(s => s.title).join(', ')} (incomplete subtasks)`);
+        alert(`${result.skipped.length} task(s) skipped:\n\n${result.skipped.map(s => `${s.title} (${s.reason.replace('has ', '')})`).join('\n')}`);
       }
       // Reload tasks from server to reflect actual state
       loadTasks();
@@ -4011,25 +4514,246 @@ const ProjectTracker = ({ token, user, project: initialProject, scrollToTaskId,
     };
 
     try {
-      const result = await api.updateTask(token, project.id, taskId, updates);
+      const result = await saveTaskUpdates(taskId, updates);
+      if (!result) return;
       if (result.error) {
-        alert(result.error);
+        alert(result.blockedBy
+          ? `${result.error}:\n\n${result.blockedBy.map(dep => `Task ${dep.id}: ${dep.taskTitle}`).join('\n')}`
+          : result.error);
         return;
       }
-      setTasks(prev => prev.map(t => t.id === taskId ? {...t, ...updates} : t));
     } catch (err) {
       console.error('Failed to update task:', err);
     }
   };
 
-  const hasIncompleteDependencies = (task) => {
-    if (!task.dependencies || task.dependencies.length === 0) return false;
-    return task.dependencies.some(depId => {
-      const depTask = tasks.find(t => t.id === parseInt(depId) || t.id === depId);
-      return depTask && !depTask.completed;
+  // Save task changes with the revision we loaded. On a 409 the server sends back
+  // its current copy and we open the merge prompt instead of overwriting.
+  const saveTaskUpdates = async (taskId, updates) => {
+    const task = tasks.find(t => t.id === taskId);
+    const result = await api.updateTask(token, project.id, taskId, { ...updates, baseRevision: (task && task.revision) || 0 });
+    if (result && result.conflict) {
+      if (!result.conflict.current) {
+        alert(result.error);
+        loadTasks();
+        return null;
+      }
+      const theirs = result.conflict.current;
+      const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+      // Only fields we actually changed are resent; of those, ask about the ones they changed too
+      const changed = Object.keys(updates).filter(key => !task || !same(updates[key], task[key]));
+      const fields = changed.filter(key =>
+        !same(updates[key], theirs[key]) && (!task || !same(task[key], theirs[key]))
+      );
+      setTaskConflict({
+        taskId,
+        mine: updates,
+        theirs,
+        changed,
+        fields,
+        choices: fields.reduce((acc, key) => ({ ...acc, [key]: 'mine' }), {})
+      });
+      return null;
+    }
+    if (result && !result.error) {
+      setTasks(prev => prev.map(t => t.id === taskId ? { ...t, ...updates, revision: result.revision } : t));
+      if (result.dependencyWarnings && result.dependencyWarnings.length > 0) {
+        alert(`Saved, but check the schedule against this task's dependencies:\n\n${result.dependencyWarnings.map(w => w.message).join('\n')}`);
+      }
+      if (result.cascadeSuggested && canReschedule &&
+          confirm(`${result.cascadeSuggested} downstream task(s) now start before this task is due. Review a reschedule from here?`)) {
+        openReschedule({ ...task, ...updates }, true);
+      }
+    }
+    return result;
+  };
+
+  const handleResolveTaskConflict = async () => {
+    const { taskId, mine, theirs, changed, fields, choices } = taskConflict;
+    // Fields only we changed (theirs untouched) always keep our value
+    const merged = {};
+    changed.forEach(key => {
+      if (!fields.includes(key) || choices[key] === 'mine') merged[key] = mine[key];
+    });
+    setTaskConflict(null);
+    setTasks(prev => prev.map(t => t.id === taskId ? { ...theirs } : t));
+    if (Object.keys(merged).length === 0) return;
+    const result = await api.updateTask(token, project.id, taskId, { ...merged, baseRevision: theirs.revision || 0 });
+    if (result && result.conflict) {
+      alert('This task changed again while you were merging. Reloading the latest version.');
+      loadTasks();
+      return;
+    }
+    if (result && result.error) {
+      alert(result.error);
+      return;
+    }
+    const { dependencyWarnings, ...savedTask } = result;
+    setTasks(prev => prev.map(t => t.id === taskId ? { ...t, ...savedTask } : t));
+  };
+
+  const formatConflictValue = (value) => {
+    if (value === undefined || value === null || value === '') return '—';
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (Array.isArray(value)) return value.length ? value.join(', ') : '—';
+    return String(value);
+  };
+
+  // Critical path is loaded on demand and refreshed while shown
+  const loadCriticalPath = async () => {
+    const result = await api.getCriticalPath(token, project.id);
+    if (result && !result.error) {
+      setCriticalPath(result);
+      setCriticalPathError('');
+    } else {
+      setCriticalPath(null);
+      setCriticalPathError(result ? result.error : '');
+    }
+  };
+
+  useEffect(() => {
+    if (showCriticalPath) loadCriticalPath();
+  }, [showCriticalPath, tasks]);
+
+  // "Reschedule from here": pick new dates, preview the cascade, then apply it
+  const openReschedule = async (task, autoPreview = false) => {
+    const draft = {
+      taskId: task.id,
+      taskTitle: task.taskTitle,
+      startDate: normalizeDateForInput(task.startDate) || '',
+      dueDate: normalizeDateForInput(task.dueDate) || '',
+      mode: 'push',
+      changes: null,
+      loading: false
+    };
+    setReschedule(draft);
+    if (autoPreview) await handlePreviewReschedule(draft);
+  };
+
+  // Gantt drags go through the reschedule routes too: a move that pushes nothing else is saved
+  // straight away, otherwise the cascade preview opens for review
+  const handleGanttReschedule = async (taskId, updates) => {
+    const task = tasks.find(t => t.id === taskId);
+    const request = { ...updates, mode: 'push' };
+    const preview = await api.previewReschedule(token, project.id, taskId, request);
+    if (preview.error) {
+      alert(preview.error);
+      return;
+    }
+    if (preview.changes.some(change => String(change.id) !== String(taskId))) {
+      await openReschedule({ ...task, ...updates }, true);
+      return;
+    }
+    const result = await api.rescheduleTask(token, project.id, taskId, { ...request, baseRevision: (task && task.revision) || 0 });
+    if (result.conflict) {
+      alert(`${result.error} Reloading the latest version.`);
+      loadTasks();
+      return;
+    }
+    if (result.error) {
+      alert(result.error);
+      return;
+    }
+    setTasks(result.tasks);
+  };
+
+  const handlePreviewReschedule = async (draft = reschedule) => {
+    setReschedule({ ...draft, loading: true });
+    const result = await api.previewReschedule(token, project.id, draft.taskId, {
+      startDate: draft.startDate,
+      dueDate: draft.dueDate,
+      mode: draft.mode
+    });
+    if (result.error) {
+      alert(result.error);
+      setReschedule({ ...draft, loading: false });
+      return;
+    }
+    setReschedule({ ...draft, loading: false, changes: result.changes });
+  };
+
+  const handleApplyReschedule = async () => {
+    const task = tasks.find(t => t.id === reschedule.taskId);
+    setReschedule({ ...reschedule, loading: true });
+    const result = await api.rescheduleTask(token, project.id, reschedule.taskId, {
+      startDate: reschedule.startDate,
+      dueDate: reschedule.dueDate,
+      mode: reschedule.mode,
+      baseRevision: (task && task.revision) || 0
+    });
+    if (result.conflict) {
+      alert(`${result.error} Reloading the latest version - please preview again.`);
+      setReschedule(null);
+      loadTasks();
+      return;
+    }
+    if (result.error) {
+      alert(result.error);
+      setReschedule({ ...reschedule, loading: false });
+      return;
+    }
+    setTasks(result.tasks);
+    setReschedule(null);
+  };
+
+  const openTemplateUpgrade = async () => {
+    setTemplateUpgrade({ loading: true });
+    const diff = await api.getTemplateDiff(token, project.id);
+    if (diff.error) {
+      alert(diff.error);
+      setTemplateUpgrade(null);
+      return;
+    }
+    setTemplateUpgrade({
+      diff,
+      addTaskIds: diff.added.map(t => String(t.id)),
+      changeTaskIds: diff.changed.filter(c => c.applicable).map(c => String(c.id))
+    });
+  };
+
+  const toggleTemplateUpgradeItem = (key, id) => {
+    const ids = templateUpgrade[key];
+    setTemplateUpgrade({
+      ...templateUpgrade,
+      [key]: ids.includes(String(id)) ? ids.filter(i => i !== String(id)) : [...ids, String(id)]
+    });
+  };
+
+  const handleApplyTemplateUpgrade = async () => {
+    setTemplateUpgrade({ ...templateUpgrade, loading: true });
+    const result = await api.applyTemplateUpgrade(token, project.id, {
+      addTaskIds: templateUpgrade.addTaskIds,
+      changeTaskIds: templateUpgrade.changeTaskIds,
+      baseRevision: templateUpgrade.diff.revision
     });
+    if (result.conflict) {
+      alert(`${result.error} Reloading the latest version.`);
+      setTemplateUpgrade(null);
+      loadTasks();
+      return;
+    }
+    if (result.error) {
+      alert(result.error);
+      setTemplateUpgrade({ ...templateUpgrade, loading: false });
+      return;
+    }
+    setTasks(result.tasks);
+    setTemplateUpgrade(null);
+    alert(`Updated to template version ${result.toVersion}: ${result.added.length} task(s) added, ${result.changed.length} updated, ${result.removed.length} flagged as removed.`);
   };
 
+  const hasIncompleteDependencies = (task) => getBlockingTasks(task).length > 0;
+
+  // Open predecessors holding this task up
+  const getBlockingTasks = (task) => (task.dependencies || [])
+    .map(depId => tasks.find(t => String(t.id) === String(depId)))
+    .filter(depTask => depTask && !depTask.completed);
+
+  // Tasks that list this one as a dependency
+  const getDependentTasks = (task) => tasks.filter(t =>
+    (t.dependencies || []).some(depId => String(depId) === String(task.id))
+  );
+
   const isOverdue = (task) => {
     if (task.completed || !task.dueDate) return false;
     const today = new Date();
@@ -4095,14 +4819,15 @@ const ProjectTracker = ({ token, user, project: initialProject, scrollToTaskId,
         updates.description = editingTask.description || '';
       }
 
-      const result = await api.updateTask(token, project.id, editingTask.id, updates);
-      if (result && result.error) {
+      const result = await saveTaskUpdates(editingTask.id, updates);
+      if (!result) {
+        setEditingTask(null);
+        return;
+      }
+      if (result.error) {
         alert(result.error);
         return;
       }
-      setTasks(prev => prev.map(t =>
-        t.id === editingTask.id ? {...t, ...updates} : t
-      ));
       setEditingTask(null);
     } catch (err) {
       console.error('Failed to save edit:', err);
@@ -4625,18 +5350,51 @@ const ProjectTracker = ({ token, user, project: initialProject, scrollToTaskId,
               >
                 Calendar
               </button>
-              
-              {isAdmin && viewType === 'list' && (
-                <>
-                  <div className="border-l border-gray-300 mx-2"></div>
-                  <button
-                    onClick={handleCreateTemplate}
-                    disabled={creatingTemplate || tasks.length === 0}
-                    className="px-3 py-1.5 rounded-md text-sm bg-primary text-white hover:opacity-90 disabled:bg-gray-400"
-                    title="Create a reusable template from this board's tasks"
-                  >
+              <button
+                onClick={() => setViewType('gantt')}
+                className={`px-3 py-1.5 rounded-md text-sm ${
+                  viewType === 'gantt'
+                    ? 'bg-primary text-white'
+                    : 'bg-gray-200 text-gray-700'
+                }`}
+              >
+                Gantt
+              </button>
+              {viewMode === 'internal' && (
+                <button
+                  onClick={() => setShowCriticalPath(!showCriticalPath)}
+                  className={`px-3 py-1.5 rounded-md text-sm ${
+                    showCriticalPath
+                      ? 'bg-red-600 text-white'
+                      : 'bg-red-50 text-red-700 hover:bg-red-100'
+                  }`}
+                  title="Highlight the chain of tasks that determines the go-live date"
+                >
+                  Critical Path
+                </button>
+              )}
+              
+              {isAdmin && viewType === 'list' && (
+                <>
+                  <div className="border-l border-gray-300 mx-2"></div>
+                  <button
+                    onClick={handleCreateTemplate}
+                    disabled={creatingTemplate || tasks.length === 0}
+                    className="px-3 py-1.5 rounded-md text-sm bg-primary text-white hover:opacity-90 disabled:bg-gray-400"
+                    title="Create a reusable template from this board's tasks"
+                  >
                     {creatingTemplate ? 'Creating...' : 'Create Template'}
                   </button>
+                  {project.template && (
+                    <button
+                      onClick={openTemplateUpgrade}
+                      disabled={templateUpgrade !== null}
+                      className="px-3 py-1.5 rounded-md text-sm bg-white border border-primary text-primary hover:bg-gray-50 disabled:opacity-50"
+                      title="Compare this board with the latest version of its template"
+                    >
+                      Template Updates
+                    </button>
+                  )}
                 </>
               )}
               
@@ -5119,7 +5877,54 @@ const ProjectTracker = ({ token, user, project: initialProject, scrollToTaskId,
 
         {viewType === 'timeline' && <TimelineView tasks={getFilteredTasks()} getPhaseColor={getPhaseColor} viewMode={viewMode} />}
         {viewType === 'calendar' && <CalendarView tasks={getFilteredTasks()} viewMode={viewMode} onScrollToTask={(taskId) => { setViewType('list'); setTimeout(() => document.getElementById(`task-${taskId}`)?.scrollIntoView({ behavior: 'smooth' }), 100); }} />}
+        {viewType === 'gantt' && (
+          <GanttView
+            tasks={getFilteredTasks()}
+            viewMode={viewMode}
+            getPhaseColor={getPhaseColor}
+            canDragTask={(task) => viewMode === 'internal' && canReschedule && !task.completed}
+            onReschedule={handleGanttReschedule}
+            criticalTaskIds={showCriticalPath && criticalPath
+              ? Object.keys(criticalPath.tasks).filter(id => criticalPath.tasks[id].critical)
+              : []}
+            onScrollToTask={(taskId) => { setViewType('list'); setTimeout(() => document.getElementById(`task-${taskId}`)?.scrollIntoView({ behavior: 'smooth' }), 100); }}
+          />
+        )}
         
+        {viewMode === 'internal' && showCriticalPath && criticalPathError && (
+          <div className="mb-6 bg-red-50 border border-red-200 rounded-lg p-4">
+            <h3 className="font-semibold text-red-800 mb-1">Critical Path</h3>
+            <p className="text-sm text-red-700">{criticalPathError}</p>
+          </div>
+        )}
+        {viewMode === 'internal' && showCriticalPath && criticalPath && (
+          <div className="mb-6 bg-red-50 border border-red-200 rounded-lg p-4">
+            <div className="flex items-center justify-between flex-wrap gap-2 mb-2">
+              <h3 className="font-semibold text-red-800">Critical Path</h3>
+              <span className="text-sm text-red-700">
+                Projected finish: <span className="font-medium">{formatDateForDisplay(criticalPath.projectFinish)}</span>
+              </span>
+            </div>
+            {criticalPath.criticalPath.length === 0 ? (
+              <p className="text-sm text-gray-600">All tasks are complete.</p>
+            ) : (
+              <div className="flex flex-wrap items-center gap-1 text-sm">
+                {criticalPath.criticalPath.map((step, idx) => (
+                  <span key={step.id} className="flex items-center gap-1">
+                    <button
+                      onClick={() => { setViewType('list'); setTimeout(() => document.getElementById(`task-${step.id}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' }), 100); }}
+                      className={`px-2 py-0.5 rounded ${step.completed ? 'bg-green-100 text-green-700 line-through' : 'bg-white text-red-800 border border-red-200 hover:bg-red-100'}`}
+                    >
+                      {step.taskTitle}
+                    </button>
+                    {idx < criticalPath.criticalPath.length - 1 && <span className="text-red-400">→</span>}
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
         {viewType === 'list' && (
           <div className="space-y-8">
             {PHASE_ORDER.map(phase => {
@@ -5677,6 +6482,15 @@ const ProjectTracker = ({ token, user, project: initialProject, scrollToTaskId,
                                       {isAdmin ? 'Edit' : (task.createdBy === user.id ? 'Edit' : 'Update Status')}
                                     </button>
                                   )}
+                                  {viewMode === 'internal' && canReschedule && !task.completed && (
+                                    <button
+                                      onClick={() => openReschedule(task)}
+                                      className="text-gray-400 hover:text-primary text-sm"
+                                      title="Move this task and cascade the change to tasks that depend on it"
+                                    >
+                                      Reschedule
+                                    </button>
+                                  )}
                                   {viewMode === 'internal' && canEdit && (isAdmin || (task.createdBy && task.createdBy === user.id)) && (
                                     <button
                                       onClick={() => handleDeleteProjectTask(task.id)}
@@ -5724,20 +6538,63 @@ const ProjectTracker = ({ token, user, project: initialProject, scrollToTaskId,
                                   Internal Only
                                 </span>
                               )}
+                              {viewMode === 'internal' && task.templateRemoved && (
+                                <span className="inline-flex items-center gap-1 text-xs text-gray-600 bg-gray-100 px-2 py-1 rounded mt-2 ml-1" title={`Dropped from the template in version ${task.templateRemovedInVersion}`}>
+                                  Removed from template
+                                </span>
+                              )}
+                              {viewMode === 'internal' && !task.completed && hasIncompleteDependencies(task) && (
+                                <span className="inline-flex items-center gap-1 text-xs text-orange-700 bg-orange-50 px-2 py-1 rounded mt-2 ml-1">
+                                  ⏳ Blocked by {getBlockingTasks(task).length} task{getBlockingTasks(task).length > 1 ? 's' : ''}
+                                </span>
+                              )}
+                              {viewMode === 'internal' && showCriticalPath && criticalPath && !task.completed && criticalPath.tasks[task.id] && (
+                                criticalPath.tasks[task.id].critical ? (
+                                  <span className="inline-flex items-center gap-1 text-xs text-red-700 bg-red-50 px-2 py-1 rounded mt-2 ml-1">
+                                    Critical path
+                                  </span>
+                                ) : (
+                                  <span className="inline-flex items-center gap-1 text-xs text-gray-600 bg-gray-100 px-2 py-1 rounded mt-2 ml-1" title={`Can finish as late as ${criticalPath.tasks[task.id].lateFinish} without moving go-live`}>
+                                    {criticalPath.tasks[task.id].slackDays}d slack
+                                  </span>
+                                )
+                              )}
                               {viewMode === 'internal' && task.dependencies && task.dependencies.length > 0 && (
                                 <div className="mt-2 text-xs text-gray-500">
                                   <span className="font-medium">Dependencies:</span>{' '}
                                   {task.dependencies.map((depId, idx) => {
-                                    const depTask = tasks.find(t => t.id === depId || t.id === parseInt(depId));
+                                    const depTask = tasks.find(t => String(t.id) === String(depId));
+                                    const startsEarly = depTask && !depTask.completed && depTask.dueDate &&
+                                      (task.startDate || task.dueDate) && new Date(task.startDate || task.dueDate) < new Date(depTask.dueDate);
                                     return (
-                                      <span key={depId}>
+                                      <span key={depId} className={depTask && !depTask.completed ? 'text-orange-700' : ''}>
+                                        {depTask && depTask.completed ? '✓ ' : ''}
                                         {depTask ? `"${depTask.taskTitle}"` : `Task ${depId}`}
+                                        {startsEarly && (
+                                          <span className="text-red-600" title={`Scheduled before this dependency is due (${depTask.dueDate})`}> ⚠</span>
+                                        )}
                                         {idx < task.dependencies.length - 1 ? ', ' : ''}
                                       </span>
                                     );
                                   })}
                                 </div>
                               )}
+                              {viewMode === 'internal' && getDependentTasks(task).length > 0 && (
+                                <div className="mt-1 text-xs text-gray-500">
+                                  <span className="font-medium">Blocks:</span>{' '}
+                                  {getDependentTasks(task).map((depTask, idx, all) => (
+                                    <span key={depTask.id}>
+                                      <button
+                                        onClick={() => document.getElementById(`task-${depTask.id}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' })}
+                                        className="hover:text-primary hover:underline"
+                                      >
+                                        "{depTask.taskTitle}"
+                                      </button>
+                                      {idx < all.length - 1 ? ', ' : ''}
+                                    </span>
+                                  ))}
+                                </div>
+                              )}
                               {task.description && (
                                 <div className="mt-2 p-2 bg-gray-50 rounded-md border-l-2 border-primary">
                                   <p className="text-sm text-gray-700">{task.description}</p>
@@ -6365,6 +7222,263 @@ const ProjectTracker = ({ token, user, project: initialProject, scrollToTaskId,
           </div>
         )}
 
+        {reschedule && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center">
+            <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl mx-4 max-h-[90vh] overflow-y-auto">
+              <div className="bg-gradient-to-r from-primary to-accent text-white px-6 py-4 rounded-t-lg flex items-center justify-between">
+                <h3 className="font-bold text-lg">Reschedule from here</h3>
+                <button onClick={() => setReschedule(null)} className="text-white hover:text-gray-200 text-xl">&times;</button>
+              </div>
+              <div className="p-6 space-y-4">
+                <p className="text-sm text-gray-600">
+                  Move "{reschedule.taskTitle}" and cascade the change to every task that depends on it. Completed tasks are never moved.
+                </p>
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                  <div>
+                    <label className="block text-xs text-gray-500 mb-1">Start Date</label>
+                    <input
+                      type="date"
+                      value={reschedule.startDate}
+                      onChange={(e) => setReschedule({ ...reschedule, startDate: e.target.value, changes: null })}
+                      className="w-full px-3 py-2 border rounded-md"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-500 mb-1">Due Date</label>
+                    <input
+                      type="date"
+                      value={reschedule.dueDate}
+                      onChange={(e) => setReschedule({ ...reschedule, dueDate: e.target.value, changes: null })}
+                      className="w-full px-3 py-2 border rounded-md"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-500 mb-1">Downstream Tasks</label>
+                    <select
+                      value={reschedule.mode}
+                      onChange={(e) => setReschedule({ ...reschedule, mode: e.target.value, changes: null })}
+                      className="w-full px-3 py-2 border rounded-md"
+                    >
+                      <option value="push">Only move tasks that would overlap</option>
+                      <option value="shift">Shift all by the same amount</option>
+                    </select>
+                  </div>
+                </div>
+                {reschedule.changes && (
+                  reschedule.changes.length === 0 ? (
+                    <p className="text-sm text-gray-700">No dates would change.</p>
+                  ) : (
+                    <table className="w-full text-sm border">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          <th className="text-left px-3 py-2 border-b">Task</th>
+                          <th className="text-left px-3 py-2 border-b">Start</th>
+                          <th className="text-left px-3 py-2 border-b">Due</th>
+                          <th className="text-right px-3 py-2 border-b">Shift</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {reschedule.changes.map(change => (
+                          <tr key={change.id} className="border-b">
+                            <td className="px-3 py-2">
+                              <div className="font-medium text-gray-700">{change.taskTitle}</div>
+                              <div className="text-xs text-gray-400">{change.phase}</div>
+                            </td>
+                            <td className="px-3 py-2">
+                              {change.before.startDate === change.after.startDate ? (change.after.startDate || '—') : (
+                                <span><span className="line-through text-gray-400">{change.before.startDate || '—'}</span> → {change.after.startDate || '—'}</span>
+                              )}
+                            </td>
+                            <td className="px-3 py-2">
+                              {change.before.dueDate === change.after.dueDate ? (change.after.dueDate || '—') : (
+                                <span><span className="line-through text-gray-400">{change.before.dueDate || '—'}</span> → {change.after.dueDate || '—'}</span>
+                              )}
+                            </td>
+                            <td className={`px-3 py-2 text-right ${change.shiftDays > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                              {change.shiftDays > 0 ? '+' : ''}{change.shiftDays}d
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )
+                )}
+              </div>
+              <div className="px-6 py-4 border-t flex justify-end gap-3">
+                <button onClick={() => setReschedule(null)} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 text-sm">Cancel</button>
+                <button
+                  onClick={() => handlePreviewReschedule()}
+                  disabled={reschedule.loading}
+                  className="px-4 py-2 bg-white border border-primary text-primary rounded-md hover:bg-gray-50 text-sm disabled:opacity-50"
+                >
+                  {reschedule.loading && !reschedule.changes ? 'Loading...' : 'Preview Changes'}
+                </button>
+                <button
+                  onClick={handleApplyReschedule}
+                  disabled={reschedule.loading || !reschedule.changes || reschedule.changes.length === 0}
+                  className="px-4 py-2 bg-gradient-to-r from-primary to-accent text-white rounded-md hover:opacity-90 text-sm disabled:opacity-50"
+                >
+                  {reschedule.loading && reschedule.changes ? 'Applying...' : `Apply ${reschedule.changes ? reschedule.changes.length : ''} Change${reschedule.changes && reschedule.changes.length === 1 ? '' : 's'}`}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {templateUpgrade && templateUpgrade.diff && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center">
+            <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl mx-4 max-h-[90vh] overflow-y-auto">
+              <div className="bg-gradient-to-r from-primary to-accent text-white px-6 py-4 rounded-t-lg flex items-center justify-between">
+                <h3 className="font-bold text-lg">Template Updates</h3>
+                <button onClick={() => setTemplateUpgrade(null)} className="text-white hover:text-gray-200 text-xl">&times;</button>
+              </div>
+              <div className="p-6 space-y-5">
+                <p className="text-sm text-gray-600">
+                  {templateUpgrade.diff.templateName}: this board was created from version {templateUpgrade.diff.fromVersion}, the latest is version {templateUpgrade.diff.toVersion}.
+                  {' '}Completed tasks are never changed, and removed tasks are only flagged.
+                </p>
+                {!templateUpgrade.diff.hasBaseSnapshot && (
+                  <p className="text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded p-2">
+                    No snapshot of version {templateUpgrade.diff.fromVersion} exists, so the board is compared directly with the latest template. Edits made on this board may show up as differences.
+                  </p>
+                )}
+                {templateUpgrade.diff.upToDate ? (
+                  <p className="text-sm text-gray-700">This board is up to date with its template.</p>
+                ) : (
+                  <>
+                    {templateUpgrade.diff.added.length > 0 && (
+                      <div>
+                        <h4 className="font-semibold text-gray-800 mb-2">New tasks ({templateUpgrade.diff.added.length})</h4>
+                        <div className="border rounded divide-y">
+                          {templateUpgrade.diff.added.map(t => (
+                            <label key={t.id} className="flex items-start gap-2 px-3 py-2 text-sm cursor-pointer hover:bg-gray-50">
+                              <input
+                                type="checkbox"
+                                checked={templateUpgrade.addTaskIds.includes(String(t.id))}
+                                onChange={() => toggleTemplateUpgradeItem('addTaskIds', t.id)}
+                                className="mt-1"
+                              />
+                              <span>
+                                <span className="font-medium text-gray-700">{t.taskTitle}</span>
+                                <span className="text-xs text-gray-400 ml-2">{t.phase}{t.stage ? ` · ${t.stage}` : ''}</span>
+                              </span>
+                            </label>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                    {templateUpgrade.diff.changed.length > 0 && (
+                      <div>
+                        <h4 className="font-semibold text-gray-800 mb-2">Changed tasks ({templateUpgrade.diff.changed.length})</h4>
+                        <div className="border rounded divide-y">
+                          {templateUpgrade.diff.changed.map(c => (
+                            <label key={c.id} className={`flex items-start gap-2 px-3 py-2 text-sm ${c.applicable ? 'cursor-pointer hover:bg-gray-50' : 'opacity-60'}`}>
+                              <input
+                                type="checkbox"
+                                checked={templateUpgrade.changeTaskIds.includes(String(c.id))}
+                                disabled={!c.applicable}
+                                onChange={() => toggleTemplateUpgradeItem('changeTaskIds', c.id)}
+                                className="mt-1"
+                              />
+                              <span className="flex-1">
+                                <span className="font-medium text-gray-700">{c.taskTitle}</span>
+                                {c.completed && <span className="text-xs text-green-700 bg-green-50 px-1.5 py-0.5 rounded ml-2">Completed - kept as is</span>}
+                                {!c.completed && c.localEdit && <span className="text-xs text-amber-700 bg-amber-50 px-1.5 py-0.5 rounded ml-2">Edited on this board - kept as is</span>}
+                                {c.fields.map(f => (
+                                  <span key={f.field} className="block text-xs text-gray-500 mt-0.5">
+                                    {f.field}: <span className="line-through text-gray-400">{String(f.from) || '—'}</span> → {String(f.to) || '—'}
+                                  </span>
+                                ))}
+                              </span>
+                            </label>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                    {templateUpgrade.diff.removed.length > 0 && (
+                      <div>
+                        <h4 className="font-semibold text-gray-800 mb-2">Removed from template ({templateUpgrade.diff.removed.length})</h4>
+                        <p className="text-xs text-gray-500 mb-2">These tasks stay on the board and are flagged "Removed from template" so you can delete or keep them.</p>
+                        <div className="border rounded divide-y">
+                          {templateUpgrade.diff.removed.map(t => (
+                            <div key={t.id} className="px-3 py-2 text-sm">
+                              <span className="font-medium text-gray-700">{t.taskTitle}</span>
+                              <span className="text-xs text-gray-400 ml-2">{t.phase}</span>
+                              {t.completed && <span className="text-xs text-green-700 ml-2">Completed</span>}
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                  </>
+                )}
+              </div>
+              <div className="px-6 py-4 border-t flex justify-end gap-3">
+                <button onClick={() => setTemplateUpgrade(null)} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 text-sm">Cancel</button>
+                <button
+                  onClick={handleApplyTemplateUpgrade}
+                  disabled={templateUpgrade.loading || templateUpgrade.diff.upToDate}
+                  className="px-4 py-2 bg-gradient-to-r from-primary to-accent text-white rounded-md hover:opacity-90 text-sm disabled:opacity-50"
+                >
+                  {templateUpgrade.loading ? 'Applying...' : `Update to Version ${templateUpgrade.diff.toVersion}`}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {taskConflict && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center">
+            <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl mx-4 max-h-[90vh] overflow-y-auto">
+              <div className="bg-gradient-to-r from-amber-500 to-amber-600 text-white px-6 py-4 rounded-t-lg flex items-center justify-between">
+                <h3 className="font-bold text-lg">Someone else updated this task</h3>
+                <button onClick={() => { setTasks(prev => prev.map(t => t.id === taskConflict.taskId ? { ...taskConflict.theirs } : t)); setTaskConflict(null); }} className="text-white hover:text-gray-200 text-xl">&times;</button>
+              </div>
+              <div className="p-6 space-y-4">
+                <p className="text-sm text-gray-600">
+                  "{taskConflict.theirs.taskTitle}" was saved by another user after you opened it. Choose which value to keep for each field.
+                </p>
+                {taskConflict.fields.length === 0 ? (
+                  <p className="text-sm text-gray-700">Your changes don't overlap with theirs, so both can be kept.</p>
+                ) : (
+                  <table className="w-full text-sm border">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="text-left px-3 py-2 border-b">Field</th>
+                        <th className="text-left px-3 py-2 border-b">Your change</th>
+                        <th className="text-left px-3 py-2 border-b">Their version</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {taskConflict.fields.map(field => (
+                        <tr key={field} className="border-b">
+                          <td className="px-3 py-2 font-medium text-gray-700">{field}</td>
+                          <td className="px-3 py-2">
+                            <label className="flex items-start gap-2 cursor-pointer">
+                              <input type="radio" name={`conflict-${field}`} checked={taskConflict.choices[field] === 'mine'} onChange={() => setTaskConflict({ ...taskConflict, choices: { ...taskConflict.choices, [field]: 'mine' } })} className="mt-1" />
+                              <span className="break-words">{formatConflictValue(taskConflict.mine[field])}</span>
+                            </label>
+                          </td>
+                          <td className="px-3 py-2">
+                            <label className="flex items-start gap-2 cursor-pointer">
+                              <input type="radio" name={`conflict-${field}`} checked={taskConflict.choices[field] === 'theirs'} onChange={() => setTaskConflict({ ...taskConflict, choices: { ...taskConflict.choices, [field]: 'theirs' } })} className="mt-1" />
+                              <span className="break-words">{formatConflictValue(taskConflict.theirs[field])}</span>
+                            </label>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+              <div className="px-6 py-4 border-t flex justify-end gap-3">
+                <button onClick={() => { setTasks(prev => prev.map(t => t.id === taskConflict.taskId ? { ...taskConflict.theirs } : t)); setTaskConflict(null); }} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 text-sm">Discard My Changes</button>
+                <button onClick={handleResolveTaskConflict} className="px-4 py-2 bg-gradient-to-r from-primary to-accent text-white rounded-md hover:opacity-90 text-sm">Save Merged Task</button>
+              </div>
+            </div>
+          </div>
+        )}
+
         {showSoftPilotChecklist && (
           <SoftPilotChecklist
             token={token}
@@ -6668,6 +7782,8 @@ const TemplateManagement = ({ token, user, onBack, onLogout }) => {
   const [showCreateTemplate, setShowCreateTemplate] = useState(false);
   const [newTemplateName, setNewTemplateName] = useState('');
   const [newTemplateDesc, setNewTemplateDesc] = useState('');
+  const [newTemplateMeta, setNewTemplateMeta] = useState({ kind: 'template', analyzerModel: '', certificationType: '', labSize: '' });
+  const [editingMeta, setEditingMeta] = useState(null);
 
   const STANDARD_STAGES = [
     'Contract Signature',
@@ -6685,6 +7801,35 @@ const TemplateManagement = ({ token, user, onBack, onLogout }) => {
     return STANDARD_STAGES;
   };
 
+  const DATE_RULE_ANCHOR_LABELS = { contractSigned: 'Contract signed', goLive: 'Go-live' };
+  const RECURRENCE_LABELS = { weekly: 'week', monthly: 'month', quarterly: 'quarter' };
+
+  // e.g. "Go-live − 14d, every month ×12"
+  const describeSchedule = (task) => {
+    const parts = [];
+    if (task.dateRule) {
+      const offset = parseInt(task.dateRule.offsetDays, 10) || 0;
+      const label = DATE_RULE_ANCHOR_LABELS[task.dateRule.anchor] || task.dateRule.anchor;
+      parts.push(offset === 0 ? label : `${label} ${offset > 0 ? '+' : '−'} ${Math.abs(offset)}d`);
+    }
+    if (task.recurrence) {
+      const interval = parseInt(task.recurrence.interval, 10) || 1;
+      const unit = RECURRENCE_LABELS[task.recurrence.frequency] || task.recurrence.frequency;
+      parts.push(`every ${interval > 1 ? `${interval} ${unit}s` : unit} ×${task.recurrence.occurrences}`);
+    }
+    return parts.join(', ');
+  };
+
+  const updateEditingDateRule = (changes) => {
+    const dateRule = { anchor: 'goLive', offsetDays: 0, ...(editingTask.dateRule || {}), ...changes };
+    setEditingTask({ ...editingTask, dateRule: dateRule.anchor ? dateRule : undefined });
+  };
+
+  const updateEditingRecurrence = (changes) => {
+    const recurrence = { frequency: 'monthly', interval: 1, occurrences: 12, ...(editingTask.recurrence || {}), ...changes };
+    setEditingTask({ ...editingTask, recurrence: recurrence.frequency ? recurrence : undefined });
+  };
+
   const handleSaveName = async () => {
     if (!selectedTemplate || !tempName.trim()) return;
     setSaving(true);
@@ -6699,6 +7844,24 @@ const TemplateManagement = ({ token, user, onBack, onLogout }) => {
     }
   };
 
+  const handleSaveMetadata = async () => {
+    if (!selectedTemplate || !editingMeta) return;
+    setSaving(true);
+    try {
+      const result = await api.updateTemplate(token, selectedTemplate.id, editingMeta);
+      if (result.error) {
+        alert(result.error);
+        return;
+      }
+      setSelectedTemplate({ ...selectedTemplate, ...editingMeta });
+      setEditingMeta(null);
+    } catch (err) {
+      console.error('Failed to save template details:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
   const handleBackToTemplates = () => {
     setSelectedTemplate(null);
     loadTemplates();
@@ -6738,13 +7901,33 @@ const TemplateManagement = ({ token, user, onBack, onLogout }) => {
     try {
       const newTemplate = await api.createTemplate(token, {
         name: newTemplateName.trim(),
-        description: newTemplateDesc.trim() || 'Custom template',
-        tasks: []
+        description: newTemplateDesc.trim() || (newTemplateMeta.kind === 'module' ? 'Custom module' : 'Custom template'),
+        ...newTemplateMeta,
+        // A base template needs at least one task; modules may start empty
+        tasks: newTemplateMeta.kind === 'module' ? [] : [{
+          id: 1,
+          phase: 'Phase 1',
+          stage: 'Tasks',
+          taskTitle: 'Contract signed',
+          clientName: '',
+          owner: '',
+          startDate: '',
+          dueDate: '',
+          dateCompleted: '',
+          duration: 0,
+          completed: false,
+          showToClient: true
+        }]
       });
-      setTemplates([...templates, { ...newTemplate, taskCount: 0 }]);
+      if (newTemplate.error) {
+        alert(newTemplate.error);
+        return;
+      }
+      setTemplates([...templates, { ...newTemplate, taskCount: newTemplate.tasks.length }]);
       setShowCreateTemplate(false);
       setNewTemplateName('');
       setNewTemplateDesc('');
+      setNewTemplateMeta({ kind: 'template', analyzerModel: '', certificationType: '', labSize: '' });
       loadTemplateDetails(newTemplate.id);
     } catch (err) {
       console.error('Failed to create template:', err);
@@ -6809,8 +7992,12 @@ const TemplateManagement = ({ token, user, onBack, onLogout }) => {
       const updatedTasks = selectedTemplate.tasks.map(t => 
         t.id === editingTask.id ? editingTask : t
       );
-      await api.updateTemplate(token, selectedTemplate.id, { tasks: updatedTasks });
-      setSelectedTemplate({ ...selectedTemplate, tasks: updatedTasks });
+      const result = await api.updateTemplate(token, selectedTemplate.id, { tasks: updatedTasks });
+      if (result && result.error) {
+        alert(result.error);
+        return;
+      }
+      setSelectedTemplate({ ...selectedTemplate, tasks: updatedTasks, version: result.version });
       setEditingTask(null);
     } catch (err) {
       console.error('Failed to save task:', err);
@@ -6839,8 +8026,8 @@ const TemplateManagement = ({ token, user, onBack, onLogout }) => {
     const updatedTasks = [...selectedTemplate.tasks, newTask];
     setSaving(true);
     try {
-      await api.updateTemplate(token, selectedTemplate.id, { tasks: updatedTasks });
-      setSelectedTemplate({ ...selectedTemplate, tasks: updatedTasks });
+      const result = await api.updateTemplate(token, selectedTemplate.id, { tasks: updatedTasks });
+      setSelectedTemplate({ ...selectedTemplate, tasks: updatedTasks, version: result.version });
       setEditingTask(newTask);
     } catch (err) {
       console.error('Failed to add task:', err);
@@ -6855,8 +8042,8 @@ const TemplateManagement = ({ token, user, onBack, onLogout }) => {
     const updatedTasks = selectedTemplate.tasks.filter(t => t.id !== taskId);
     setSaving(true);
     try {
-      await api.updateTemplate(token, selectedTemplate.id, { tasks: updatedTasks });
-      setSelectedTemplate({ ...selectedTemplate, tasks: updatedTasks });
+      const result = await api.updateTemplate(token, selectedTemplate.id, { tasks: updatedTasks });
+      setSelectedTemplate({ ...selectedTemplate, tasks: updatedTasks, version: result.version });
     } catch (err) {
       console.error('Failed to delete task:', err);
     } finally {
@@ -6953,8 +8140,78 @@ const TemplateManagement = ({ token, user, onBack, onLogout }) => {
             ) : 'Template Management'}
           </h1>
           <p className="text-gray-600">
-            {selectedTemplate ? `${selectedTemplate.tasks.length} tasks, ${selectedTemplate.tasks.reduce((sum, t) => sum + (t.subtasks?.length || 0), 0)} subtasks` : 'Manage project templates'}
+            {selectedTemplate ? `${selectedTemplate.kind === 'module' ? 'Module' : 'Template'} · Version ${selectedTemplate.version || 1} · ${selectedTemplate.tasks.length} tasks, ${selectedTemplate.tasks.reduce((sum, t) => sum + (t.subtasks?.length || 0), 0)} subtasks` : 'Manage project templates'}
           </p>
+          {selectedTemplate && (
+            editingMeta ? (
+              <div className="mt-4 space-y-3">
+                <div className="grid grid-cols-1 sm:grid-cols-4 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Type</label>
+                    <select
+                      value={editingMeta.kind}
+                      onChange={(e) => setEditingMeta({...editingMeta, kind: e.target.value})}
+                      disabled={selectedTemplate.isDefault}
+                      className="w-full px-3 py-2 border rounded-md"
+                    >
+                      <option value="template">Template</option>
+                      <option value="module">Module</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Analyzer Model</label>
+                    <input
+                      value={editingMeta.analyzerModel}
+                      onChange={(e) => setEditingMeta({...editingMeta, analyzerModel: e.target.value})}
+                      placeholder="e.g., Biolis AU480"
+                      className="w-full px-3 py-2 border rounded-md"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Certification Type</label>
+                    <select
+                      value={editingMeta.certificationType}
+                      onChange={(e) => setEditingMeta({...editingMeta, certificationType: e.target.value})}
+                      className="w-full px-3 py-2 border rounded-md"
+                    >
+                      <option value="">Any</option>
+                      {TEMPLATE_CERTIFICATION_TYPES.map(c => <option key={c} value={c}>{c}</option>)}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Lab Size</label>
+                    <select
+                      value={editingMeta.labSize}
+                      onChange={(e) => setEditingMeta({...editingMeta, labSize: e.target.value})}
+                      className="w-full px-3 py-2 border rounded-md capitalize"
+                    >
+                      <option value="">Any</option>
+                      {TEMPLATE_LAB_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+                    </select>
+                  </div>
+                </div>
+                <div className="flex gap-3">
+                  <button onClick={handleSaveMetadata} disabled={saving} className="text-sm text-green-600 hover:underline disabled:opacity-50">Save</button>
+                  <button onClick={() => setEditingMeta(null)} className="text-sm text-gray-500 hover:underline">Cancel</button>
+                </div>
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500 mt-1">
+                {describeTemplateMetadata(selectedTemplate) || 'No analyzer, certification or lab size set'}
+                <button
+                  onClick={() => setEditingMeta({
+                    kind: selectedTemplate.kind || 'template',
+                    analyzerModel: selectedTemplate.analyzerModel || '',
+                    certificationType: selectedTemplate.certificationType || '',
+                    labSize: selectedTemplate.labSize || ''
+                  })}
+                  className="ml-2 text-primary hover:underline"
+                >
+                  (edit details)
+                </button>
+              </p>
+            )
+          )}
         </div>
 
         {!selectedTemplate ? (
@@ -6990,6 +8247,50 @@ const TemplateManagement = ({ token, user, onBack, onLogout }) => {
                       className="w-full px-3 py-2 border rounded-md"
                     />
                   </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Type</label>
+                    <select
+                      value={newTemplateMeta.kind}
+                      onChange={(e) => setNewTemplateMeta({...newTemplateMeta, kind: e.target.value})}
+                      className="w-full px-3 py-2 border rounded-md"
+                    >
+                      <option value="template">Template - a full launch plan</option>
+                      <option value="module">Module - a task block stacked onto a template</option>
+                    </select>
+                  </div>
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium mb-1">Analyzer Model</label>
+                      <input
+                        value={newTemplateMeta.analyzerModel}
+                        onChange={(e) => setNewTemplateMeta({...newTemplateMeta, analyzerModel: e.target.value})}
+                        placeholder="e.g., Biolis AU480"
+                        className="w-full px-3 py-2 border rounded-md"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium mb-1">Certification Type</label>
+                      <select
+                        value={newTemplateMeta.certificationType}
+                        onChange={(e) => setNewTemplateMeta({...newTemplateMeta, certificationType: e.target.value})}
+                        className="w-full px-3 py-2 border rounded-md"
+                      >
+                        <option value="">Any</option>
+                        {TEMPLATE_CERTIFICATION_TYPES.map(c => <option key={c} value={c}>{c}</option>)}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium mb-1">Lab Size</label>
+                      <select
+                        value={newTemplateMeta.labSize}
+                        onChange={(e) => setNewTemplateMeta({...newTemplateMeta, labSize: e.target.value})}
+                        className="w-full px-3 py-2 border rounded-md capitalize"
+                      >
+                        <option value="">Any</option>
+                        {TEMPLATE_LAB_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+                      </select>
+                    </div>
+                  </div>
                   <div className="flex gap-3">
                     <button
                       onClick={handleCreateTemplate}
@@ -6999,7 +8300,7 @@ const TemplateManagement = ({ token, user, onBack, onLogout }) => {
                       {saving ? 'Creating...' : 'Create Template'}
                     </button>
                     <button
-                      onClick={() => { setShowCreateTemplate(false); setNewTemplateName(''); setNewTemplateDesc(''); }}
+                      onClick={() => { setShowCreateTemplate(false); setNewTemplateName(''); setNewTemplateDesc(''); setNewTemplateMeta({ kind: 'template', analyzerModel: '', certificationType: '', labSize: '' }); }}
                       className="px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300"
                     >
                       Cancel
@@ -7015,7 +8316,9 @@ const TemplateManagement = ({ token, user, onBack, onLogout }) => {
                   <tr>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Template Name</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Description</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Library</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Tasks</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Version</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
                   </tr>
                 </thead>
@@ -7027,9 +8330,14 @@ const TemplateManagement = ({ token, user, onBack, onLogout }) => {
                         {template.isDefault && (
                           <span className="text-xs bg-blue-100 text-blue-800 px-2 py-0.5 rounded">Default</span>
                         )}
+                        {template.kind === 'module' && (
+                          <span className="text-xs bg-purple-100 text-purple-800 px-2 py-0.5 rounded">Module</span>
+                        )}
                       </td>
                       <td className="px-6 py-4 text-sm text-gray-500">{template.description}</td>
+                      <td className="px-6 py-4 text-sm text-gray-500">{describeTemplateMetadata(template) || '-'}</td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{template.taskCount}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">v{template.version || 1}</td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm space-x-3">
                         <button
                           onClick={() => loadTemplateDetails(template.id)}
@@ -7107,6 +8415,7 @@ const TemplateManagement = ({ token, user, onBack, onLogout }) => {
                     <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Subtasks</th>
                     <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Owner</th>
                     <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Dependencies</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Schedule</th>
                     <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Client View</th>
                     <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
                   </tr>
@@ -7204,6 +8513,80 @@ const TemplateManagement = ({ token, user, onBack, onLogout }) => {
                               </div>
                             </div>
                           </td>
+                          <td className="px-4 py-2 space-y-1 min-w-[11rem]">
+                            <div className="flex items-center gap-1">
+                              <select
+                                value={editingTask.dateRule?.anchor || ''}
+                                onChange={(e) => updateEditingDateRule({ anchor: e.target.value })}
+                                className="flex-1 px-1 py-1 border rounded text-xs"
+                                title="Due date relative to"
+                              >
+                                <option value="">No date rule</option>
+                                <option value="contractSigned">Contract signed</option>
+                                <option value="goLive">Go-live</option>
+                              </select>
+                              {editingTask.dateRule && (
+                                <input
+                                  type="number"
+                                  value={editingTask.dateRule.offsetDays}
+                                  onChange={(e) => updateEditingDateRule({ offsetDays: parseInt(e.target.value, 10) || 0 })}
+                                  className="w-14 px-1 py-1 border rounded text-xs"
+                                  title="Offset in days (negative = before)"
+                                />
+                              )}
+                            </div>
+                            {editingTask.dateRule && (
+                              <div className="flex items-center gap-1">
+                                <span className="text-xs text-gray-500">Duration</span>
+                                <input
+                                  type="number"
+                                  min="0"
+                                  value={editingTask.duration || 0}
+                                  onChange={(e) => setEditingTask({...editingTask, duration: Math.max(0, parseInt(e.target.value, 10) || 0)})}
+                                  className="w-14 px-1 py-1 border rounded text-xs"
+                                  title="Days before the due date the task starts"
+                                />
+                                <span className="text-xs text-gray-500">d</span>
+                              </div>
+                            )}
+                            <div className="flex items-center gap-1">
+                              <select
+                                value={editingTask.recurrence?.frequency || ''}
+                                onChange={(e) => updateEditingRecurrence({ frequency: e.target.value })}
+                                className="flex-1 px-1 py-1 border rounded text-xs"
+                                title="Repeat"
+                              >
+                                <option value="">Does not repeat</option>
+                                <option value="weekly">Weekly</option>
+                                <option value="monthly">Monthly</option>
+                                <option value="quarterly">Quarterly</option>
+                              </select>
+                              {editingTask.recurrence && (
+                                <input
+                                  type="number"
+                                  min="1"
+                                  max="52"
+                                  value={editingTask.recurrence.occurrences}
+                                  onChange={(e) => updateEditingRecurrence({ occurrences: parseInt(e.target.value, 10) || 1 })}
+                                  className="w-14 px-1 py-1 border rounded text-xs"
+                                  title="Number of occurrences"
+                                />
+                              )}
+                            </div>
+                            {editingTask.recurrence && (
+                              <div className="flex items-center gap-1">
+                                <span className="text-xs text-gray-500">Every</span>
+                                <input
+                                  type="number"
+                                  min="1"
+                                  value={editingTask.recurrence.interval || 1}
+                                  onChange={(e) => updateEditingRecurrence({ interval: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                                  className="w-14 px-1 py-1 border rounded text-xs"
+                                />
+                                <span className="text-xs text-gray-500">{RECURRENCE_LABELS[editingTask.recurrence.frequency]}(s)</span>
+                              </div>
+                            )}
+                          </td>
                           <td className="px-4 py-2">
                             <input
                               type="checkbox"
@@ -7261,6 +8644,9 @@ const TemplateManagement = ({ token, user, onBack, onLogout }) => {
                               </div>
                             ) : '-'}
                           </td>
+                          <td className="px-4 py-2 text-xs text-gray-600">
+                            {describeSchedule(task) || '-'}
+                          </td>
                           <td className="px-4 py-2 text-sm">
                             {task.showToClient ? (
                               <span className="text-green-600">Yes</span>
@@ -7502,6 +8888,7 @@ const HubSpotSettings = ({ token, user, onBack, onLogout }) => {
 const Reporting = ({ token, user, onBack, onLogout }) => {
   const [reportData, setReportData] = useState([]);
   const [validationData, setValidationData] = useState([]);
+  const [phaseAnalytics, setPhaseAnalytics] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -7510,13 +8897,15 @@ const Reporting = ({ token, user, onBack, onLogout }) => {
 
   const loadReportData = async () => {
     try {
-      const [projectData, serviceReportsRes] = await Promise.all([
+      const [projectData, serviceReportsRes, phaseData] = await Promise.all([
         api.getReportingData(token),
         fetch(`${API_URL}/api/service-reports`, {
           headers: { 'Authorization': `Bearer ${token}` }
-        }).then(r => r.json()).catch(() => [])
+        }).then(r => r.json()).catch(() => []),
+        api.getPhaseAnalytics(token)
       ]);
       setReportData(projectData);
+      if (phaseData && !phaseData.error) setPhaseAnalytics(phaseData);
       // Filter validation service reports
       const validations = (serviceReportsRes || []).filter(r => r.serviceType === 'Validations');
       setValidationData(validations);
@@ -7596,8 +8985,16 @@ const Reporting = ({ token, user, onBack, onLogout }) => {
       .sort((a, b) => b.weeks - a.weeks);
   };
 
+  // Active launches with a forecast, at-risk first then soonest go-live
+  const getForecasts = () => {
+    return reportData
+      .filter(p => p.forecast)
+      .sort((a, b) => (b.forecast.atRisk - a.forecast.atRisk) || a.forecast.forecastDate.localeCompare(b.forecast.forecastDate));
+  };
+
   const statusByClient = getStatusByClient();
   const timelines = getTimelinesByClient();
+  const forecasts = getForecasts();
   const maxWeeks = timelines.length > 0 ? Math.max(...timelines.map(t => t.weeks), 1) : 1;
 
   if (loading) {
@@ -7704,6 +9101,157 @@ const Reporting = ({ token, user, onBack, onLogout }) => {
             </div>
           </div>
 
+          {/* Go-Live Forecast */}
+          <div className="mb-8">
+            <div className="flex items-center justify-between flex-wrap gap-2 mb-4">
+              <h2 className="text-xl font-bold">Go-Live Forecast (Active Launches)</h2>
+              {forecasts.some(p => p.forecast.atRisk) && (
+                <span className="px-3 py-1 text-sm rounded-full bg-red-100 text-red-700 font-medium">
+                  {forecasts.filter(p => p.forecast.atRisk).length} at risk
+                </span>
+              )}
+            </div>
+            <div className="bg-gray-50 rounded-lg p-4">
+              {forecasts.length === 0 ? (
+                <p className="text-gray-500 text-center py-4">Not enough completed launches or recent task activity to forecast yet</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs font-medium text-gray-500 uppercase">
+                        <th className="px-3 py-2">Project</th>
+                        <th className="px-3 py-2">Target</th>
+                        <th className="px-3 py-2">Forecast</th>
+                        <th className="px-3 py-2">Range</th>
+                        <th className="px-3 py-2">Open Tasks</th>
+                        <th className="px-3 py-2">Velocity</th>
+                        <th className="px-3 py-2">Status</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {forecasts.map(project => {
+                        const f = project.forecast;
+                        return (
+                          <tr key={project.id} className={f.atRisk ? 'bg-red-50' : ''}>
+                            <td className="px-3 py-2">
+                              <div className="font-medium">{project.name}</div>
+                              <div className="text-xs text-gray-500">{project.clientName}</div>
+                            </td>
+                            <td className="px-3 py-2">{f.targetDate ? formatDateForDisplay(f.targetDate) : <span className="text-gray-400">-</span>}</td>
+                            <td className="px-3 py-2 font-medium">
+                              {formatDateForDisplay(f.forecastDate)}
+                              <div className="text-xs text-gray-400 font-normal">{f.confidence} confidence</div>
+                            </td>
+                            <td className="px-3 py-2 text-xs text-gray-600">
+                              {formatDateForDisplay(f.rangeStart)} – {formatDateForDisplay(f.rangeEnd)}
+                            </td>
+                            <td className="px-3 py-2">{f.remainingTasks}</td>
+                            <td className="px-3 py-2 text-xs text-gray-600">
+                              {f.methods.velocity ? `${f.methods.velocity.tasksPerWeek}/wk` : <span className="text-gray-400">no recent activity</span>}
+                            </td>
+                            <td className="px-3 py-2">
+                              {f.targetDate === null ? (
+                                <span className="px-2 py-1 text-xs rounded bg-gray-100 text-gray-600">No target</span>
+                              ) : f.atRisk ? (
+                                <span className="px-2 py-1 text-xs rounded bg-red-100 text-red-700" title={`${f.daysVsTarget} days past target`}>At risk (+{f.daysVsTarget}d)</span>
+                              ) : (
+                                <span className="px-2 py-1 text-xs rounded bg-green-100 text-green-700">On track</span>
+                              )}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+              <div className="text-center mt-4 text-xs text-gray-500">
+                Based on phase durations of completed launches and each project's task completion rate over recent weeks
+              </div>
+            </div>
+          </div>
+
+          {/* Phase Cycle Times */}
+          {phaseAnalytics && (() => {
+            const maxP90 = Math.max(1, ...phaseAnalytics.phases.map(p => p.p90Days || 0));
+            return (
+              <div className="mb-8">
+                <h2 className="text-xl font-bold mb-1">Phase Cycle Times</h2>
+                <p className="text-sm text-gray-500 mb-4">
+                  Days from first task start to last completion, across {phaseAnalytics.completedProjects} completed launch{phaseAnalytics.completedProjects === 1 ? '' : 'es'}
+                </p>
+                <div className="bg-gray-50 rounded-lg p-4">
+                  {phaseAnalytics.completedProjects === 0 ? (
+                    <p className="text-gray-500 text-center py-4">No completed launches yet</p>
+                  ) : (
+                    <div className="space-y-3">
+                      {phaseAnalytics.phases.map(phase => (
+                        <div key={phase.phase} className="flex items-center gap-4">
+                          <div className="w-56 text-sm font-medium truncate" title={phase.name}>{phase.name}</div>
+                          <div className="flex-1 relative bg-gray-200 rounded h-6 overflow-hidden">
+                            {phase.p90Days !== null && (
+                              <div
+                                className="absolute inset-y-0 left-0 bg-orange-200"
+                                style={{ width: `${(phase.p90Days / maxP90) * 100}%` }}
+                                title={`p90: ${phase.p90Days} days`}
+                              />
+                            )}
+                            {phase.medianDays !== null && (
+                              <div
+                                className="absolute inset-y-0 left-0 bg-gradient-to-r from-indigo-500 to-purple-500 flex items-center justify-end pr-2"
+                                style={{ width: `${(phase.medianDays / maxP90) * 100}%`, minWidth: '30px' }}
+                                title={`Median: ${phase.medianDays} days`}
+                              >
+                                <span className="text-white text-xs font-bold">{phase.medianDays}d</span>
+                              </div>
+                            )}
+                          </div>
+                          <div className="w-28 text-xs text-gray-500 text-right">
+                            {phase.projects > 0 ? `p90 ${phase.p90Days}d · n=${phase.projects}` : 'no data'}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  <div className="flex gap-4 mt-4 text-xs justify-center">
+                    <span className="flex items-center gap-1"><span className="w-3 h-3 bg-purple-500 rounded"></span> Median</span>
+                    <span className="flex items-center gap-1"><span className="w-3 h-3 bg-orange-200 rounded"></span> 90th percentile</span>
+                  </div>
+                </div>
+
+                {phaseAnalytics.lateTasks.length > 0 && (
+                  <div className="mt-4 bg-gray-50 rounded-lg p-4">
+                    <h3 className="font-semibold text-gray-800 mb-3">Tasks That Most Often Run Late</h3>
+                    <div className="overflow-x-auto">
+                      <table className="min-w-full text-sm">
+                        <thead>
+                          <tr className="text-left text-xs font-medium text-gray-500 uppercase">
+                            <th className="px-3 py-2">Task</th>
+                            <th className="px-3 py-2">Phase</th>
+                            <th className="px-3 py-2 text-right">Late</th>
+                            <th className="px-3 py-2 text-right">Late Rate</th>
+                            <th className="px-3 py-2 text-right">Avg Days Late</th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                          {phaseAnalytics.lateTasks.map(task => (
+                            <tr key={`${task.phase}-${task.taskTitle}`}>
+                              <td className="px-3 py-2 font-medium">{task.taskTitle}</td>
+                              <td className="px-3 py-2 text-gray-600">{task.phase}</td>
+                              <td className="px-3 py-2 text-right">{task.lateCount} of {task.occurrences}</td>
+                              <td className={`px-3 py-2 text-right ${task.lateRate >= 50 ? 'text-red-600 font-medium' : 'text-gray-700'}`}>{task.lateRate}%</td>
+                              <td className="px-3 py-2 text-right">{task.avgDaysLate}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })()}
+
           {/* Chart 2: Go-Live Timelines */}
           <div>
             <h2 className="text-xl font-bold mb-4">Go-Live Timelines (Contract to First Patient)</h2>
@@ -8470,6 +10018,7 @@ const App = () => {
   };
 
   const handleLogout = () => {
+    window.ThriveAuth.signOut();
     setToken(null);
     setUser(null);
     setSelectedProject(null);
@@ -0,0 +1,187 @@
+/**
+ * Session keep-alive shared by every portal page.
+ *
+ * Access tokens expire after a few minutes. Instead of touching every API helper,
+ * this wraps window.fetch: when a request comes back 401 "Token expired" it trades
+ * the stored refresh token for a new pair at /api/auth/refresh, swaps the new access
+ * token into every localStorage key that held the old one (unified_token,
+ * admin_token, portal_token, service_token, token) and retries the request once.
+ *
+ * Pages keep their token in React state too, so old -> new swaps are remembered
+ * (in localStorage, so other tabs benefit) and stale Authorization headers are
+ * rewritten before they are sent.
+ *
+ * Login responses that carry a refreshToken are picked up automatically.
+ * Logout buttons call window.ThriveAuth.signOut() before clearing storage.
+ */
+(function () {
+  if (window.ThriveAuth) return;
+
+  var TOKEN_KEYS = ['unified_token', 'admin_token', 'portal_token', 'service_token', 'token'];
+  var REFRESH_KEY = 'refresh_token';
+  var ROTATIONS_KEY = 'token_rotations';
+  var MAX_ROTATIONS = 20;
+  var LOGIN_PATHS = ['/api/auth/login', '/api/auth/client-login', '/api/auth/service-login', '/api/auth/admin-login', '/api/auth/sso/exchange'];
+
+  var nativeFetch = window.fetch.bind(window);
+  var refreshInFlight = null;
+
+  function readRotations() {
+    try {
+      return JSON.parse(localStorage.getItem(ROTATIONS_KEY)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function recordRotation(oldToken, newToken) {
+    var rotations = readRotations().filter(function (r) { return r.from !== oldToken; });
+    rotations.push({ from: oldToken, to: newToken });
+    localStorage.setItem(ROTATIONS_KEY, JSON.stringify(rotations.slice(-MAX_ROTATIONS)));
+  }
+
+  // Follow old -> new swaps to the newest access token
+  function latestToken(token) {
+    var rotations = readRotations();
+    var current = token;
+    for (var hops = 0; hops < rotations.length; hops++) {
+      var next = rotations.find(function (r) { return r.from === current; });
+      if (!next) break;
+      current = next.to;
+    }
+    return current;
+  }
+
+  function pathOf(input) {
+    var url = typeof input === 'string' ? input : (input && input.url) || '';
+    try {
+      return new URL(url, window.location.origin).pathname;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  function bearerOf(init) {
+    var headers = init && init.headers;
+    if (!headers) return null;
+    var value = typeof headers.get === 'function'
+      ? headers.get('Authorization')
+      : headers.Authorization || headers.authorization;
+    if (!value || value.indexOf('Bearer ') !== 0) return null;
+    return value.slice(7);
+  }
+
+  function withBearer(init, token) {
+    var headers = init.headers;
+    if (typeof headers.set === 'function') {
+      var copy = new Headers(headers);
+      copy.set('Authorization', 'Bearer ' + token);
+      return Object.assign({}, init, { headers: copy });
+    }
+    var plain = Object.assign({}, headers);
+    delete plain.authorization;
+    plain.Authorization = 'Bearer ' + token;
+    return Object.assign({}, init, { headers: plain });
+  }
+
+  function storeTokens(oldToken, newToken, refreshToken) {
+    TOKEN_KEYS.forEach(function (key) {
+      if (localStorage.getItem(key) === oldToken) localStorage.setItem(key, newToken);
+    });
+    if (refreshToken) localStorage.setItem(REFRESH_KEY, refreshToken);
+    recordRotation(oldToken, newToken);
+  }
+
+  // One refresh at a time per tab; concurrent 401s wait on the same promise
+  function refresh(staleToken) {
+    if (refreshInFlight) return refreshInFlight;
+    var refreshToken = localStorage.getItem(REFRESH_KEY);
+    if (!refreshToken) return Promise.resolve(null);
+    refreshInFlight = nativeFetch('/api/auth/refresh', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: refreshToken })
+    }).then(function (res) {
+      return res.json().catch(function () { return {}; }).then(function (data) {
+        if (res.ok && data.token) {
+          storeTokens(staleToken, data.token, data.refreshToken);
+          return data.token;
+        }
+        // Another tab rotated first - use what it stored
+        var swapped = latestToken(staleToken);
+        if (swapped !== staleToken) return swapped;
+        if (res.status === 401) localStorage.removeItem(REFRESH_KEY);
+        return null;
+      });
+    }).catch(function () {
+      return null;
+    }).then(function (token) {
+      refreshInFlight = null;
+      return token;
+    });
+    return refreshInFlight;
+  }
+
+  function isExpiredResponse(res) {
+    if (res.status !== 401) return Promise.resolve(false);
+    return res.clone().json().then(function (data) {
+      return data && data.code === 'TOKEN_EXPIRED';
+    }).catch(function () { return false; });
+  }
+
+  function captureRefreshToken(res) {
+    if (!res.ok) return;
+    res.clone().json().then(function (data) {
+      if (data && data.token && data.refreshToken) localStorage.setItem(REFRESH_KEY, data.refreshToken);
+    }).catch(function () {});
+  }
+
+  window.fetch = function (input, init) {
+    var path = pathOf(input);
+    if (LOGIN_PATHS.indexOf(path) !== -1) {
+      return nativeFetch(input, init).then(function (res) {
+        captureRefreshToken(res);
+        return res;
+      });
+    }
+
+    var token = bearerOf(init);
+    if (!token || path.indexOf('/api/') !== 0) return nativeFetch(input, init);
+
+    // A React component may still hold a token another request already renewed
+    var current = latestToken(token);
+    var requestInit = current !== token ? withBearer(init, current) : init;
+
+    return nativeFetch(input, requestInit).then(function (res) {
+      return isExpiredResponse(res).then(function (expired) {
+        if (!expired) return res;
+        return refresh(current).then(function (renewed) {
+          if (!renewed) return res;
+          return nativeFetch(input, withBearer(init, renewed));
+        });
+      });
+    });
+  };
+
+  window.ThriveAuth = {
+    /**
+     * End this device's session on the server. Call before clearing localStorage.
+     */
+    signOut: function () {
+      var refreshToken = localStorage.getItem(REFRESH_KEY);
+      localStorage.removeItem(REFRESH_KEY);
+      localStorage.removeItem(ROTATIONS_KEY);
+      if (!refreshToken) return Promise.resolve();
+      return nativeFetch('/api/auth/logout', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken: refreshToken }),
+        keepalive: true
+      }).catch(function () {});
+    },
+    /**
+     * Newest access token for `token` (for URLs such as ?token= downloads)
+     */
+    latestToken: latestToken
+  };
+})();
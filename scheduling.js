@@ -0,0 +1,700 @@
+/**
+ * Task Scheduling
+ * Dependency graph helpers, critical-path analysis, due-date cascade,
+ * go-live forecasting, phase analytics and template date rules for project
+ * task lists (`tasks_${projectId}`).
+ *
+ * Dates are handled as whole days ('YYYY-MM-DD'); ISO timestamps such as
+ * `dateCompleted` are truncated to their date part. Dependencies are
+ * finish-to-start: a task may start on the day its predecessor is due.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 'YYYY-MM-DD' or ISO timestamp -> day number (days since epoch, UTC), or null
+const toDay = (value) => {
+  if (!value || typeof value !== 'string') return null;
+  const match = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!match) return null;
+  return Math.round(Date.UTC(+match[1], +match[2] - 1, +match[3]) / DAY_MS);
+};
+
+const fromDay = (day) => new Date(day * DAY_MS).toISOString().split('T')[0];
+
+const todayDay = () => toDay(new Date().toISOString());
+
+// ---- Dependency graph ----
+// Dependency IDs are stored as numbers or strings depending on where the task came from
+// (template, CSV import, UI multi-select), so always compare them as strings.
+const findTaskById = (tasks, id) => tasks.find(t => String(t.id) === String(id));
+
+// Predecessors of `task` that exist and are not completed yet
+const getOpenPredecessors = (task, tasks) => (task.dependencies || [])
+  .map(depId => findTaskById(tasks, depId))
+  .filter(dep => dep && !dep.completed);
+
+// Tasks that list `task` as a dependency
+const getSuccessors = (task, tasks) => tasks.filter(t =>
+  (t.dependencies || []).some(depId => String(depId) === String(task.id))
+);
+
+// Walk the dependency graph depth-first; returns the IDs forming the first cycle found, or null
+const findDependencyCycle = (tasks) => {
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const stack = [];
+  const visit = (task) => {
+    const id = String(task.id);
+    if (state.get(id) === 'done') return null;
+    if (state.get(id) === 'visiting') return [...stack.slice(stack.indexOf(id)), id];
+    state.set(id, 'visiting');
+    stack.push(id);
+    for (const depId of task.dependencies || []) {
+      const dep = findTaskById(tasks, depId);
+      if (!dep) continue;
+      const cycle = visit(dep);
+      if (cycle) return cycle;
+    }
+    stack.pop();
+    state.set(id, 'done');
+    return null;
+  };
+  for (const task of tasks) {
+    const cycle = visit(task);
+    if (cycle) return cycle;
+  }
+  return null;
+};
+
+// "Task A" → "Task B" → "Task A", for error messages
+const describeDependencyCycle = (cycle, tasks) => cycle.map(id => {
+  const t = findTaskById(tasks, id);
+  return t && t.taskTitle ? `"${t.taskTitle}"` : `Task ${id}`;
+}).join(' → ');
+
+// Order tasks so every task comes after its predecessors (tasks outside `tasks` are ignored)
+const sortTasksByDependencies = (tasks) => {
+  const ordered = [];
+  const seen = new Set();
+  const visit = (task) => {
+    const id = String(task.id);
+    if (seen.has(id)) return;
+    seen.add(id);
+    for (const depId of task.dependencies || []) {
+      const dep = findTaskById(tasks, depId);
+      if (dep) visit(dep);
+    }
+    ordered.push(task);
+  };
+  tasks.forEach(visit);
+  return ordered;
+};
+
+/**
+ * Validate a proposed dependency list for a task against the rest of the project
+ * @param {Array} tasks - All tasks in the project
+ * @param {string|number} taskId - Task being saved
+ * @param {Array} dependencies - Proposed predecessor IDs
+ * @returns {{error: string, cycle?: Array<string>, unknown?: Array<string>}|null}
+ */
+const validateTaskDependencies = (tasks, taskId, dependencies) => {
+  if (!Array.isArray(dependencies)) {
+    return { error: 'Dependencies must be a list of task IDs' };
+  }
+  if (dependencies.some(depId => String(depId) === String(taskId))) {
+    return { error: 'A task cannot depend on itself' };
+  }
+  const unknown = dependencies.filter(depId => !findTaskById(tasks, depId)).map(String);
+  if (unknown.length > 0) {
+    return { error: `Unknown dependency task ID(s): ${unknown.join(', ')}`, unknown };
+  }
+  const proposed = tasks.map(t => (String(t.id) === String(taskId) ? { ...t, dependencies } : t));
+  if (!findTaskById(proposed, taskId)) proposed.push({ id: taskId, dependencies });
+  const cycle = findDependencyCycle(proposed);
+  if (cycle) {
+    return { error: `Dependency cycle detected: ${describeDependencyCycle(cycle, proposed)}`, cycle };
+  }
+  return null;
+};
+
+// Scheduling checks: a task should not start (or be due) before its predecessors are due
+const getDependencyScheduleWarnings = (task, tasks) => {
+  const ownDate = task.startDate || task.dueDate;
+  if (!ownDate) return [];
+  return (task.dependencies || [])
+    .map(depId => findTaskById(tasks, depId))
+    .filter(dep => dep && !dep.completed && dep.dueDate && toDay(dep.dueDate) > toDay(ownDate))
+    .map(dep => ({
+      taskId: dep.id,
+      taskTitle: dep.taskTitle,
+      dueDate: dep.dueDate,
+      message: `"${task.taskTitle}" is scheduled for ${ownDate} but depends on "${dep.taskTitle}", due ${dep.dueDate}`
+    }));
+};
+
+// ---- Critical path ----
+
+// Working length of a task in days: explicit `duration`, else the start->due span, else 0 (milestone)
+const getTaskDurationDays = (task) => {
+  const duration = parseInt(task.duration, 10);
+  if (duration > 0) return duration;
+  const start = toDay(task.startDate);
+  const due = toDay(task.dueDate);
+  return start !== null && due !== null && due > start ? due - start : 0;
+};
+
+/**
+ * Critical-path analysis over a project's tasks.
+ * Forward pass: a task starts once all predecessors finish, or on its own start
+ * date if later; it finishes on its due date (completed tasks: dateCompleted)
+ * or start + duration. Backward pass from the latest finish gives slack; tasks
+ * with no slack are critical. Undated tasks with no predecessors start on the
+ * earliest date found in the project (or today). Tasks that depend on each
+ * other in a loop have no schedule, so a cycle is reported instead.
+ * @param {Array} tasks
+ * @returns {{projectStart: string, projectFinish: string, criticalPath: Array, tasks: Object}|{error: string, cycle: Array<string>}}
+ *   `tasks` maps task id -> { earlyStart, earlyFinish, lateStart, lateFinish, slackDays, critical }
+ */
+const computeCriticalPath = (tasks) => {
+  const cycle = findDependencyCycle(tasks);
+  if (cycle) {
+    return { error: `Dependency cycle detected: ${describeDependencyCycle(cycle, tasks)}`, cycle };
+  }
+  const ordered = sortTasksByDependencies(tasks);
+  const datedDays = tasks
+    .flatMap(t => [toDay(t.startDate), toDay(t.dueDate)])
+    .filter(day => day !== null);
+  const projectStart = datedDays.length > 0 ? Math.min(...datedDays) : todayDay();
+
+  const schedule = new Map(); // id -> { es, ef, ls, lf, duration, driver }
+  for (const task of ordered) {
+    const duration = getTaskDurationDays(task);
+    let es = projectStart;
+    let driver = null;
+    for (const depId of task.dependencies || []) {
+      const dep = schedule.get(String(depId));
+      if (dep && dep.ef >= es) {
+        es = dep.ef;
+        driver = String(depId);
+      }
+    }
+    const ownStart = toDay(task.startDate);
+    if (ownStart !== null && ownStart > es) {
+      es = ownStart;
+      driver = null;
+    }
+    let ef = es + duration;
+    const fixedFinish = task.completed ? (toDay(task.dateCompleted) ?? toDay(task.dueDate)) : toDay(task.dueDate);
+    if (fixedFinish !== null && fixedFinish > ef) ef = fixedFinish;
+    schedule.set(String(task.id), { es, ef, duration, driver });
+  }
+
+  const projectFinish = schedule.size > 0 ? Math.max(...[...schedule.values()].map(s => s.ef)) : projectStart;
+
+  for (const task of [...ordered].reverse()) {
+    const entry = schedule.get(String(task.id));
+    const successors = getSuccessors(task, tasks).map(s => schedule.get(String(s.id))).filter(Boolean);
+    entry.lf = successors.length > 0 ? Math.min(...successors.map(s => s.ls)) : projectFinish;
+    entry.ls = entry.lf - (entry.ef - entry.es);
+  }
+
+  // Walk back from the task that finishes last along each step's driving predecessor
+  const criticalPath = [];
+  const last = ordered.filter(t => !t.completed).reduce((latest, t) => {
+    const ef = schedule.get(String(t.id)).ef;
+    return !latest || ef > schedule.get(String(latest.id)).ef ? t : latest;
+  }, null);
+  let cursor = last ? String(last.id) : null;
+  while (cursor) {
+    const task = findTaskById(tasks, cursor);
+    criticalPath.unshift({ id: task.id, taskTitle: task.taskTitle, phase: task.phase, completed: !!task.completed });
+    cursor = schedule.get(cursor).driver;
+  }
+
+  const result = {};
+  for (const [id, entry] of schedule) {
+    const slackDays = entry.lf - entry.ef;
+    result[id] = {
+      earlyStart: fromDay(entry.es),
+      earlyFinish: fromDay(entry.ef),
+      lateStart: fromDay(entry.ls),
+      lateFinish: fromDay(entry.lf),
+      slackDays,
+      critical: slackDays <= 0
+    };
+  }
+
+  return {
+    projectStart: fromDay(projectStart),
+    projectFinish: fromDay(projectFinish),
+    criticalPath,
+    tasks: result
+  };
+};
+
+// ---- Due-date cascade ----
+
+/**
+ * Work out the date changes that follow from moving one task.
+ * mode 'push' (default) only moves downstream tasks that would otherwise start
+ * before a predecessor is due, so existing slack absorbs the slip. mode 'shift'
+ * moves every dated downstream task by the same number of days as the root.
+ * Completed tasks are never moved, and their dates do not hold successors back.
+ * @param {Array} tasks
+ * @param {string|number} taskId - Task being rescheduled
+ * @param {{startDate?: string, dueDate?: string}} dates - New dates for that task
+ * @param {Object} [options]
+ * @param {'push'|'shift'} [options.mode='push']
+ * @returns {Array<{id, taskTitle, phase, before: {startDate, dueDate}, after: {startDate, dueDate}, shiftDays: number}>}
+ */
+const planReschedule = (tasks, taskId, dates, options = {}) => {
+  const mode = options.mode === 'shift' ? 'shift' : 'push';
+  const root = findTaskById(tasks, taskId);
+  if (!root) return [];
+
+  const after = new Map(tasks.map(t => [String(t.id), { startDate: t.startDate || '', dueDate: t.dueDate || '' }]));
+  const rootAfter = {
+    startDate: dates.startDate !== undefined ? (dates.startDate || '') : (root.startDate || ''),
+    dueDate: dates.dueDate !== undefined ? (dates.dueDate || '') : (root.dueDate || '')
+  };
+  after.set(String(root.id), rootAfter);
+
+  // Root shift used by 'shift' mode: due date movement, falling back to start date movement
+  const rootDelta = ['dueDate', 'startDate']
+    .map(field => (toDay(root[field]) !== null && toDay(rootAfter[field]) !== null ? toDay(rootAfter[field]) - toDay(root[field]) : null))
+    .find(delta => delta !== null) || 0;
+
+  // Everything reachable downstream of the root
+  const downstream = new Set();
+  const queue = [root];
+  while (queue.length > 0) {
+    for (const successor of getSuccessors(queue.shift(), tasks)) {
+      if (!downstream.has(String(successor.id))) {
+        downstream.add(String(successor.id));
+        queue.push(successor);
+      }
+    }
+  }
+
+  // Finish day a task hands to its successors after rescheduling
+  const finishDay = (task) => {
+    const taskDates = after.get(String(task.id));
+    const due = toDay(taskDates.dueDate);
+    if (due !== null) return due;
+    const start = toDay(taskDates.startDate);
+    return start !== null ? start + getTaskDurationDays(task) : null;
+  };
+
+  for (const task of sortTasksByDependencies(tasks)) {
+    const id = String(task.id);
+    if (!downstream.has(id) || task.completed) continue;
+    const current = after.get(id);
+    const start = toDay(current.startDate);
+    const due = toDay(current.dueDate);
+    if (start === null && due === null) continue;
+
+    let delta = 0;
+    if (mode === 'shift') {
+      delta = rootDelta;
+    } else {
+      const required = (task.dependencies || [])
+        .map(depId => findTaskById(tasks, depId))
+        .filter(dep => dep && !dep.completed)
+        .map(finishDay)
+        .filter(day => day !== null);
+      if (required.length === 0) continue;
+      // Without a start date the task occupies (due - duration .. due)
+      const anchor = start !== null ? start : due - getTaskDurationDays(task);
+      delta = Math.max(0, Math.max(...required) - anchor);
+    }
+    if (delta === 0) continue;
+    after.set(id, {
+      startDate: start !== null ? fromDay(start + delta) : current.startDate,
+      dueDate: due !== null ? fromDay(due + delta) : current.dueDate
+    });
+  }
+
+  return tasks
+    .map(task => {
+      const next = after.get(String(task.id));
+      const before = { startDate: task.startDate || '', dueDate: task.dueDate || '' };
+      if (next.startDate === before.startDate && next.dueDate === before.dueDate) return null;
+      const shiftDays = toDay(next.dueDate) !== null && toDay(before.dueDate) !== null
+        ? toDay(next.dueDate) - toDay(before.dueDate)
+        : (toDay(next.startDate) !== null && toDay(before.startDate) !== null ? toDay(next.startDate) - toDay(before.startDate) : 0);
+      return { id: task.id, taskTitle: task.taskTitle, phase: task.phase, before, after: next, shiftDays };
+    })
+    .filter(Boolean);
+};
+
+// ---- Go-live forecasting ----
+
+// Linear-interpolated percentile (p in 0..100) of a list of numbers, or null when empty
+const percentile = (values, p) => {
+  const sorted = values.filter(v => typeof v === 'number' && !isNaN(v)).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+/**
+ * Days each phase added to a finished launch. Phases overlap in practice, so a
+ * phase is credited only with the time between the latest completion in any
+ * earlier phase (or the contract date) and its own last completion.
+ * @param {Array} tasks - Tasks of a launched project
+ * @param {string[]} phaseOrder - e.g. config.PHASE_ORDER, ending at the go-live phase
+ * @param {string} contractDate - When the contract-signed task was completed
+ * @returns {Object} phase -> days (phases without completed tasks are omitted)
+ */
+const getPhaseIncrements = (tasks, phaseOrder, contractDate) => {
+  const increments = {};
+  let previousEnd = toDay(contractDate);
+  for (const phase of phaseOrder) {
+    const ends = tasks
+      .filter(t => t.phase === phase && t.completed)
+      .map(t => toDay(t.dateCompleted))
+      .filter(day => day !== null);
+    if (ends.length === 0) continue;
+    const phaseEnd = Math.max(...ends);
+    if (previousEnd !== null) increments[phase] = Math.max(0, phaseEnd - previousEnd);
+    previousEnd = previousEnd === null ? phaseEnd : Math.max(previousEnd, phaseEnd);
+  }
+  return increments;
+};
+
+/**
+ * Forecast the go-live date of an active project.
+ * Combines two estimates:
+ *  - historical: median (p25-p75 for the range) days per remaining phase from
+ *    launched projects, pro-rated by the share of each phase still open
+ *  - velocity: open tasks divided by tasks completed per day over the recent window
+ * @param {Object} input
+ * @param {Array} input.tasks - Tasks counted toward go-live (phases up to and including go-live)
+ * @param {string[]} input.phaseOrder - Phases up to and including the go-live phase
+ * @param {Object} input.phaseHistory - phase -> array of historical day counts
+ * @param {number} input.historyCount - Number of launched projects behind phaseHistory
+ * @param {string} [input.targetDate] - Planned go-live date
+ * @param {number} [input.velocityWindowDays=28]
+ * @param {string} [input.today] - Override for testing
+ * @returns {Object|null} Forecast, or null when there is nothing to estimate from
+ */
+const forecastGoLive = (input) => {
+  const { tasks, phaseOrder, phaseHistory, historyCount, targetDate } = input;
+  const windowDays = input.velocityWindowDays || 28;
+  const today = input.today ? toDay(input.today) : todayDay();
+  const openTasks = tasks.filter(t => !t.completed);
+  if (openTasks.length === 0) return null;
+
+  // Historical phase durations
+  let historical = null;
+  if (historyCount > 0) {
+    const sums = { low: 0, mid: 0, high: 0 };
+    let phasesWithoutHistory = 0;
+    for (const phase of phaseOrder) {
+      const phaseTasks = tasks.filter(t => t.phase === phase);
+      const open = phaseTasks.filter(t => !t.completed).length;
+      if (open === 0) continue;
+      const samples = phaseHistory[phase] || [];
+      if (samples.length === 0) {
+        phasesWithoutHistory++;
+        continue;
+      }
+      const remainingShare = open / phaseTasks.length;
+      sums.low += percentile(samples, 25) * remainingShare;
+      sums.mid += percentile(samples, 50) * remainingShare;
+      sums.high += percentile(samples, 75) * remainingShare;
+    }
+    historical = {
+      date: today + Math.round(sums.mid),
+      low: today + Math.round(sums.low),
+      high: today + Math.round(sums.high),
+      phasesWithoutHistory
+    };
+  }
+
+  // Recent task velocity
+  let velocity = null;
+  const recentlyCompleted = tasks.filter(t => {
+    const done = t.completed ? toDay(t.dateCompleted) : null;
+    return done !== null && done > today - windowDays && done <= today;
+  }).length;
+  if (recentlyCompleted > 0) {
+    const perDay = recentlyCompleted / windowDays;
+    velocity = {
+      date: today + Math.ceil(openTasks.length / perDay),
+      tasksPerWeek: Math.round(perDay * 7 * 10) / 10
+    };
+  }
+
+  if (!historical && !velocity) return null;
+
+  const days = (...values) => values.filter(d => typeof d === 'number');
+  const estimates = days(historical && historical.date, velocity && velocity.date);
+  const forecastDay = Math.round(estimates.reduce((sum, d) => sum + d, 0) / estimates.length);
+  const low = Math.min(...days(historical && historical.low, velocity && velocity.date, forecastDay));
+  const high = Math.max(...days(historical && historical.high, velocity && velocity.date, forecastDay));
+
+  // More launched projects and agreement between both methods mean more confidence
+  let confidence = 'low';
+  if (historical && historyCount >= 5 && historical.phasesWithoutHistory === 0) confidence = 'high';
+  else if (historical && historyCount >= 2) confidence = 'medium';
+  if (confidence !== 'low' && historical && velocity && Math.abs(historical.date - velocity.date) > 30) {
+    confidence = confidence === 'high' ? 'medium' : 'low';
+  }
+
+  const target = toDay(targetDate);
+  return {
+    forecastDate: fromDay(forecastDay),
+    rangeStart: fromDay(low),
+    rangeEnd: fromDay(high),
+    confidence,
+    methods: {
+      historical: historical ? { date: fromDay(historical.date), low: fromDay(historical.low), high: fromDay(historical.high), launches: historyCount } : null,
+      velocity: velocity ? { date: fromDay(velocity.date), tasksPerWeek: velocity.tasksPerWeek, windowDays } : null
+    },
+    remainingTasks: openTasks.length,
+    targetDate: target !== null ? fromDay(target) : null,
+    daysVsTarget: target !== null ? forecastDay - target : null,
+    atRisk: target !== null && forecastDay > target
+  };
+};
+
+// ---- Phase analytics ----
+
+/**
+ * Cycle time of each phase in one project: first task start to last completion.
+ * A phase with no start dates is taken to begin when the previous phase's last
+ * task was completed (or, for the first phase, at its own first completion).
+ * Only phases whose tasks are all complete are measured.
+ * @param {Array} tasks
+ * @param {string[]} phaseOrder
+ * @returns {Object} phase -> days
+ */
+const getPhaseCycleTimes = (tasks, phaseOrder) => {
+  const cycleTimes = {};
+  let previousEnd = null;
+  for (const phase of phaseOrder) {
+    const phaseTasks = tasks.filter(t => t.phase === phase);
+    const ends = phaseTasks.map(t => (t.completed ? toDay(t.dateCompleted) : null)).filter(day => day !== null);
+    if (phaseTasks.length === 0 || ends.length === 0) continue;
+    const end = Math.max(...ends);
+    if (phaseTasks.every(t => t.completed)) {
+      const starts = phaseTasks.map(t => toDay(t.startDate)).filter(day => day !== null);
+      const start = starts.length > 0
+        ? Math.min(...starts)
+        : (previousEnd !== null ? previousEnd : Math.min(...ends));
+      cycleTimes[phase] = Math.max(0, end - start);
+    }
+    previousEnd = end;
+  }
+  return cycleTimes;
+};
+
+/**
+ * Rank tasks by how often they run late across projects. Tasks are grouped by
+ * phase and title, since projects created from the same template share titles.
+ * A task counts as late when it was completed after its due date, or is still
+ * open past it.
+ * @param {Array<Array>} projectTaskLists - One task array per project
+ * @param {Object} [options]
+ * @param {string} [options.today] - Override for testing
+ * @returns {Array<{phase, taskTitle, occurrences, lateCount, lateRate, avgDaysLate}>}
+ */
+const rankLateTasks = (projectTaskLists, options = {}) => {
+  const today = options.today ? toDay(options.today) : todayDay();
+  const groups = new Map();
+  for (const tasks of projectTaskLists) {
+    for (const task of tasks) {
+      const due = toDay(task.dueDate);
+      if (due === null || !task.taskTitle) continue;
+      const key = `${task.phase}|${task.taskTitle.trim().toLowerCase()}`;
+      const group = groups.get(key) || { phase: task.phase, taskTitle: task.taskTitle.trim(), occurrences: 0, lateCount: 0, totalDaysLate: 0 };
+      group.occurrences++;
+      const finished = task.completed ? toDay(task.dateCompleted) : today;
+      if (finished !== null && finished > due) {
+        group.lateCount++;
+        group.totalDaysLate += finished - due;
+      }
+      groups.set(key, group);
+    }
+  }
+  return [...groups.values()]
+    .filter(g => g.lateCount > 0)
+    .map(({ totalDaysLate, ...g }) => ({
+      ...g,
+      lateRate: Math.round((g.lateCount / g.occurrences) * 100),
+      avgDaysLate: Math.round(totalDaysLate / g.lateCount)
+    }))
+    .sort((a, b) => b.lateCount - a.lateCount || b.lateRate - a.lateRate || b.avgDaysLate - a.avgDaysLate);
+};
+
+// ---- Template date rules ----
+// Template tasks carry no dates. Instead a task may define
+//   dateRule:   { anchor: 'contractSigned' | 'goLive', offsetDays }   e.g. go-live - 14 days
+//   recurrence: { frequency: 'weekly' | 'monthly' | 'quarterly', interval, occurrences }
+// which are turned into real due dates when a project is created or cloned.
+
+const DATE_RULE_ANCHORS = ['contractSigned', 'goLive'];
+const RECURRENCE_FREQUENCIES = {
+  weekly: { days: 7 },
+  monthly: { months: 1 },
+  quarterly: { months: 3 }
+};
+const MAX_RECURRENCE_OCCURRENCES = 52;
+
+// Add calendar months to a day number, clamping to the end of shorter months (Jan 31 + 1 -> Feb 28)
+const addMonths = (day, months) => {
+  const date = new Date(day * DAY_MS);
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const daysInMonth = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(date.getUTCDate(), daysInMonth));
+  return Math.round(target.getTime() / DAY_MS);
+};
+
+/**
+ * Check that a template's task list has no dependency cycle, so projects built from it can be scheduled.
+ * @param {Array} tasks
+ * @returns {{error: string, cycle: Array<string>}|null}
+ */
+const validateTemplateDependencies = (tasks) => {
+  const cycle = findDependencyCycle(tasks || []);
+  if (!cycle) return null;
+  return { error: `Dependency cycle detected: ${describeDependencyCycle(cycle, tasks)}`, cycle };
+};
+
+/**
+ * Check the dateRule/recurrence definitions on a template's tasks.
+ * @param {Array} tasks
+ * @returns {string|null} Error message for the first invalid rule, or null
+ */
+const validateTemplateDateRules = (tasks) => {
+  for (const task of tasks || []) {
+    const label = `Task ${task.id}${task.taskTitle ? ` (${task.taskTitle})` : ''}`;
+    const rule = task.dateRule;
+    if (rule) {
+      if (!DATE_RULE_ANCHORS.includes(rule.anchor)) {
+        return `${label}: date rule anchor must be one of ${DATE_RULE_ANCHORS.join(', ')}`;
+      }
+      if (!Number.isInteger(Number(rule.offsetDays))) {
+        return `${label}: date rule offset must be a whole number of days`;
+      }
+    }
+    const recurrence = task.recurrence;
+    if (recurrence) {
+      if (!RECURRENCE_FREQUENCIES[recurrence.frequency]) {
+        return `${label}: recurrence frequency must be one of ${Object.keys(RECURRENCE_FREQUENCIES).join(', ')}`;
+      }
+      const interval = Number(recurrence.interval || 1);
+      const occurrences = Number(recurrence.occurrences);
+      if (!Number.isInteger(interval) || interval < 1) {
+        return `${label}: recurrence interval must be a positive whole number`;
+      }
+      if (!Number.isInteger(occurrences) || occurrences < 1 || occurrences > MAX_RECURRENCE_OCCURRENCES) {
+        return `${label}: recurrence occurrences must be between 1 and ${MAX_RECURRENCE_OCCURRENCES}`;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Due date for a task with a dateRule, or null when the rule's anchor date is unknown.
+ * Recurring occurrences (recurrenceIndex 2, 3, ...) are stepped on from the rule date.
+ * @param {Object} task
+ * @param {{contractSigned?: string, goLive?: string}} anchors - 'YYYY-MM-DD'
+ * @returns {string|null}
+ */
+const resolveTaskDateRule = (task, anchors) => {
+  const rule = task.dateRule;
+  if (!rule || !DATE_RULE_ANCHORS.includes(rule.anchor)) return null;
+  const base = toDay(anchors[rule.anchor]);
+  if (base === null) return null;
+  let due = base + (parseInt(rule.offsetDays, 10) || 0);
+  const step = task.recurrence && RECURRENCE_FREQUENCIES[task.recurrence.frequency];
+  const index = parseInt(task.recurrenceIndex, 10) || 1;
+  if (step && index > 1) {
+    const periods = (index - 1) * (parseInt(task.recurrence.interval, 10) || 1);
+    due = step.months ? addMonths(due, step.months * periods) : due + step.days * periods;
+  }
+  return fromDay(due);
+};
+
+/**
+ * Re-date every task that has a dateRule against the given anchors. Tasks
+ * without a rule keep their dates; ruled tasks whose anchor is unknown are left
+ * undated. Start dates are set `duration` days before the due date.
+ * @param {Array} tasks
+ * @param {{contractSigned?: string, goLive?: string}} anchors
+ * @returns {Array} New task array
+ */
+const applyTemplateDateRules = (tasks, anchors) => tasks.map(task => {
+  if (!task.dateRule) return task;
+  const dueDate = resolveTaskDateRule(task, anchors);
+  if (!dueDate) return { ...task, startDate: '', dueDate: '' };
+  const duration = parseInt(task.duration, 10) || 0;
+  const startDate = duration > 0 ? fromDay(toDay(dueDate) - duration) : '';
+  return { ...task, startDate, dueDate };
+});
+
+/**
+ * Turn template tasks into dated project tasks: expand recurring tasks into one
+ * task per occurrence, then apply date rules. The first occurrence keeps the
+ * template task's id (so dependencies on it still resolve); later ones get new
+ * ids after the template's highest id and point back via `recurrenceOf`.
+ * @param {Array} templateTasks
+ * @param {{contractSigned?: string, goLive?: string}} anchors
+ * @returns {Array}
+ */
+const materializeTemplateTasks = (templateTasks, anchors) => {
+  let nextId = Math.max(0, ...templateTasks.map(t => parseInt(t.id, 10) || 0)) + 1;
+  const expanded = [];
+  for (const task of templateTasks) {
+    const recurrence = task.recurrence && RECURRENCE_FREQUENCIES[task.recurrence.frequency] ? task.recurrence : null;
+    const occurrences = recurrence
+      ? Math.min(Math.max(parseInt(recurrence.occurrences, 10) || 1, 1), MAX_RECURRENCE_OCCURRENCES)
+      : 1;
+    if (occurrences === 1) {
+      expanded.push(task);
+      continue;
+    }
+    for (let index = 1; index <= occurrences; index++) {
+      expanded.push({
+        ...task,
+        id: index === 1 ? task.id : nextId++,
+        taskTitle: `${task.taskTitle} (${index}/${occurrences})`,
+        recurrenceIndex: index,
+        ...(index > 1 ? { recurrenceOf: task.id } : {})
+      });
+    }
+  }
+  return applyTemplateDateRules(expanded, anchors);
+};
+
+module.exports = {
+  toDay,
+  fromDay,
+  findTaskById,
+  getOpenPredecessors,
+  getSuccessors,
+  findDependencyCycle,
+  describeDependencyCycle,
+  sortTasksByDependencies,
+  validateTaskDependencies,
+  getDependencyScheduleWarnings,
+  getTaskDurationDays,
+  computeCriticalPath,
+  planReschedule,
+  percentile,
+  getPhaseIncrements,
+  forecastGoLive,
+  getPhaseCycleTimes,
+  rankLateTasks,
+  DATE_RULE_ANCHORS,
+  RECURRENCE_FREQUENCIES,
+  validateTemplateDateRules,
+  validateTemplateDependencies,
+  resolveTaskDateRule,
+  applyTemplateDateRules,
+  materializeTemplateTasks
+};
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeCriticalPath, validateTemplateDependencies } = require('./scheduling');
+
+test('schedules a chain of tasks', () => {
+  const result = computeCriticalPath([
+    { id: 1, taskTitle: 'Install', startDate: '2026-01-05', dueDate: '2026-01-07' },
+    { id: 2, taskTitle: 'Validate', dependencies: ['1'], startDate: '2026-01-07', dueDate: '2026-01-09' }
+  ]);
+  assert.strictEqual(result.error, undefined);
+  assert.deepStrictEqual(result.criticalPath.map(t => t.id), [1, 2]);
+});
+
+test('reports a dependency cycle instead of throwing', () => {
+  const result = computeCriticalPath([
+    { id: 1, taskTitle: 'Install', dependencies: ['2'] },
+    { id: 2, taskTitle: 'Validate', dependencies: ['1'] }
+  ]);
+  assert.match(result.error, /^Dependency cycle detected: /);
+  assert.ok(result.error.includes('"Install"') && result.error.includes('"Validate"'));
+  assert.ok(Array.isArray(result.cycle));
+});
+
+test('rejects template task lists whose dependencies loop', () => {
+  assert.strictEqual(validateTemplateDependencies([
+    { id: 1, taskTitle: 'Install' },
+    { id: 2, taskTitle: 'Validate', dependencies: [1] }
+  ]), null);
+  const result = validateTemplateDependencies([
+    { id: 1, taskTitle: 'Install', dependencies: [3] },
+    { id: 2, taskTitle: 'Validate', dependencies: [1] },
+    { id: 3, taskTitle: 'Sign off', dependencies: [2] }
+  ]);
+  assert.match(result.error, /^Dependency cycle detected: /);
+  assert.strictEqual(result.cycle.length, 4);
+});
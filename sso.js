@@ -0,0 +1,298 @@
+/**
+ * Single Sign-On (OpenID Connect)
+ * Authorization code flow with PKCE for internal staff (admin, user, vendor accounts).
+ * Providers are configured in the admin hub and stored in `sso_settings`:
+ *   { providers: [{ id, type: 'oidc', name, issuer, clientId, clientSecret, scopes, groupsClaim, enabled }],
+ *     groupMappings: [{ group, role, roleIds }], enforcedDomains, autoProvision, defaultRole }
+ *
+ * The IdP's groups claim decides the account type and roles: every mapping whose group the
+ * user is in contributes its roleIds, and the highest account type wins (admin > user > vendor).
+ *
+ * Discovery documents and signing keys are fetched from the IdP and cached in memory.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const SSO_ROLES = ['admin', 'user', 'vendor'];
+const DEFAULT_SCOPES = 'openid email profile';
+const DEFAULT_GROUPS_CLAIM = 'groups';
+// Discovery documents and signing keys rarely change; refetch keys early when an unknown kid shows up
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'];
+const HTTP_TIMEOUT_MS = 10000;
+
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+const base64Url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+/**
+ * Random URL-safe string (state, nonce, PKCE verifier)
+ * @param {number} [bytes=32]
+ * @returns {string}
+ */
+const randomToken = (bytes = 32) => base64Url(crypto.randomBytes(bytes));
+
+/**
+ * PKCE verifier and its S256 challenge
+ * @returns {{verifier: string, challenge: string}}
+ */
+const createPkcePair = () => {
+  const verifier = randomToken(48);
+  return { verifier, challenge: base64Url(crypto.createHash('sha256').update(verifier).digest()) };
+};
+
+/**
+ * Lower-cased domain part of an email address ('' when there is none)
+ * @param {string} email
+ * @returns {string}
+ */
+const emailDomain = (email) => {
+  const at = String(email || '').lastIndexOf('@');
+  return at === -1 ? '' : String(email).slice(at + 1).trim().toLowerCase();
+};
+
+const normalizeDomain = (domain) => String(domain || '').trim().toLowerCase().replace(/^@/, '');
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+  const text = await response.text();
+  let body = null;
+  try {
+    body = text ? JSON.parse(text) : null;
+  } catch (e) {
+    body = null;
+  }
+  if (!response.ok) {
+    const detail = body?.error_description || body?.error || response.statusText;
+    throw new Error(`${url} returned ${response.status}: ${detail}`);
+  }
+  if (!body) throw new Error(`${url} did not return JSON`);
+  return body;
+};
+
+/**
+ * OpenID Provider metadata from {issuer}/.well-known/openid-configuration (cached)
+ * @param {string} issuer
+ * @returns {Promise<Object>}
+ */
+const discoverOidc = async (issuer) => {
+  const key = String(issuer).replace(/\/+$/, '');
+  const cached = metadataCache.get(key);
+  if (cached && Date.now() - cached.fetchedAt < METADATA_CACHE_MS) return cached.metadata;
+  const metadata = await fetchJson(`${key}/.well-known/openid-configuration`);
+  for (const field of ['issuer', 'authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+    if (!metadata[field]) throw new Error(`OpenID configuration for ${key} is missing ${field}`);
+  }
+  metadataCache.set(key, { metadata, fetchedAt: Date.now() });
+  return metadata;
+};
+
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) => keys.find(k => (!kid || k.kid === kid) && (!k.use || k.use === 'sig'));
+  const cached = jwksCache.get(jwksUri);
+  if (cached && Date.now() - cached.fetchedAt < METADATA_CACHE_MS) {
+    const key = findKey(cached.keys);
+    if (key) return key;
+  }
+  const { keys = [] } = await fetchJson(jwksUri);
+  jwksCache.set(jwksUri, { keys, fetchedAt: Date.now() });
+  const key = findKey(keys);
+  if (!key) throw new Error(`No signing key ${kid || ''} published at ${jwksUri}`);
+  return key;
+};
+
+/**
+ * URL that sends the browser to the IdP's login page
+ * @param {Object} metadata - from discoverOidc()
+ * @param {Object} provider
+ * @param {Object} params - { redirectUri, state, nonce, codeChallenge, loginHint }
+ * @returns {string}
+ */
+const buildAuthorizationUrl = (metadata, provider, { redirectUri, state, nonce, codeChallenge, loginHint }) => {
+  const url = new URL(metadata.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', provider.scopes || DEFAULT_SCOPES);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  if (loginHint) url.searchParams.set('login_hint', loginHint);
+  return url.toString();
+};
+
+/**
+ * Trade the authorization code for tokens at the IdP's token endpoint
+ * @param {Object} metadata
+ * @param {Object} provider
+ * @param {Object} params - { code, redirectUri, codeVerifier }
+ * @returns {Promise<Object>} Token response (id_token, access_token, ...)
+ */
+const exchangeAuthorizationCode = (metadata, provider, { code, redirectUri, codeVerifier }) => fetchJson(metadata.token_endpoint, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+  body: new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: provider.clientId,
+    client_secret: provider.clientSecret || '',
+    code_verifier: codeVerifier
+  }).toString()
+});
+
+/**
+ * Verify an ID token's signature (against the IdP's JWKS), issuer, audience, expiry and nonce
+ * @param {string} idToken
+ * @param {Object} params - { metadata, provider, nonce }
+ * @returns {Promise<Object>} The token's claims
+ */
+const verifyIdToken = async (idToken, { metadata, provider, nonce }) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header) throw new Error('ID token is not a JWT');
+  if (!ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) throw new Error(`Unsupported ID token algorithm ${decoded.header.alg}`);
+  const jwk = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+  const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  const claims = jwt.verify(idToken, publicKey, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: metadata.issuer,
+    audience: provider.clientId,
+    clockTolerance: 60
+  });
+  if (!nonce || claims.nonce !== nonce) throw new Error('ID token nonce does not match this sign-in');
+  return claims;
+};
+
+/**
+ * Claims from the userinfo endpoint (some IdPs keep email or groups out of the ID token)
+ * @param {Object} metadata
+ * @param {string} accessToken
+ * @returns {Promise<Object>}
+ */
+const fetchUserInfo = (metadata, accessToken) => fetchJson(metadata.userinfo_endpoint, {
+  headers: { Authorization: `Bearer ${accessToken}`, Accept: 'application/json' }
+});
+
+/**
+ * Email, name and groups from ID token / userinfo claims.
+ * Only the `email` claim counts as an address: preferred_username and upn are
+ * free-form at many IdPs, and an address is verified only when the IdP says so.
+ * @param {Object} claims
+ * @param {Object} provider
+ * @returns {{subject: string, email: string, emailVerified: boolean, name: string, groups: string[]}}
+ */
+const extractProfile = (claims, provider) => {
+  const email = String(claims.email || '').trim().toLowerCase();
+  let groups = claims[provider.groupsClaim || DEFAULT_GROUPS_CLAIM] || [];
+  if (typeof groups === 'string') groups = groups.split(/[,\s]+/);
+  const name = claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email.split('@')[0];
+  return {
+    subject: String(claims.sub || ''),
+    email: email.includes('@') ? email : '',
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name,
+    groups: (Array.isArray(groups) ? groups : []).map(g => String(g).trim()).filter(Boolean)
+  };
+};
+
+/**
+ * Account type and roles granted by the user's IdP groups (group names match case-insensitively)
+ * @param {string[]} groups
+ * @param {Array<{group, role, roleIds}>} mappings
+ * @returns {{role: string, roleIds: string[], matchedGroups: string[]}|null} null when no mapping matched
+ */
+const mapGroupsToAccess = (groups, mappings = []) => {
+  const memberOf = new Set(groups.map(g => g.toLowerCase()));
+  const matched = mappings.filter(m => memberOf.has(String(m.group).toLowerCase()));
+  if (matched.length === 0) return null;
+  const role = SSO_ROLES.find(r => matched.some(m => m.role === r)) || 'user';
+  return {
+    role,
+    roleIds: [...new Set(matched.flatMap(m => m.roleIds || []))],
+    matchedGroups: matched.map(m => m.group)
+  };
+};
+
+/**
+ * Validate and normalize an SSO settings payload from the admin hub
+ * @param {Object} input
+ * @param {string[]} roleIds - ids of the roles that exist
+ * @returns {{error: string}|{settings: Object}}
+ */
+const normalizeSsoSettings = (input, roleIds) => {
+  const providers = [];
+  for (const raw of input.providers || []) {
+    const id = String(raw.id || '').trim().toLowerCase();
+    if (!/^[a-z0-9-]{2,40}$/.test(id)) return { error: 'Provider id must be 2-40 lowercase letters, numbers or dashes' };
+    if (providers.some(p => p.id === id)) return { error: `Duplicate provider id: ${id}` };
+    if ((raw.type || 'oidc') !== 'oidc') return { error: 'Only OpenID Connect providers are supported' };
+    if (!raw.name || !String(raw.name).trim()) return { error: `Provider ${id} needs a display name` };
+    let issuer;
+    try {
+      issuer = new URL(String(raw.issuer || '').trim()).toString().replace(/\/+$/, '');
+    } catch (e) {
+      return { error: `Provider ${id} needs a valid issuer URL` };
+    }
+    if (!raw.clientId || !String(raw.clientId).trim()) return { error: `Provider ${id} needs a client ID` };
+    providers.push({
+      id,
+      type: 'oidc',
+      name: String(raw.name).trim(),
+      issuer,
+      clientId: String(raw.clientId).trim(),
+      clientSecret: String(raw.clientSecret || ''),
+      scopes: String(raw.scopes || DEFAULT_SCOPES).trim(),
+      groupsClaim: String(raw.groupsClaim || DEFAULT_GROUPS_CLAIM).trim(),
+      enabled: raw.enabled !== false
+    });
+  }
+
+  const groupMappings = [];
+  for (const raw of input.groupMappings || []) {
+    const group = String(raw.group || '').trim();
+    if (!group) return { error: 'Every group mapping needs an IdP group name' };
+    if (!SSO_ROLES.includes(raw.role)) return { error: `Group ${group}: account type must be one of ${SSO_ROLES.join(', ')}` };
+    const mappedRoleIds = Array.isArray(raw.roleIds) ? [...new Set(raw.roleIds)] : [];
+    const unknown = mappedRoleIds.filter(id => !roleIds.includes(id));
+    if (unknown.length > 0) return { error: `Group ${group}: unknown role ${unknown.join(', ')}` };
+    groupMappings.push({ group, role: raw.role, roleIds: mappedRoleIds });
+  }
+
+  const enforcedDomains = [...new Set((input.enforcedDomains || []).map(normalizeDomain).filter(Boolean))];
+  const invalidDomain = enforcedDomains.find(d => !/^[a-z0-9.-]+\.[a-z]{2,}$/.test(d));
+  if (invalidDomain) return { error: `Invalid domain: ${invalidDomain}` };
+  if (enforcedDomains.length > 0 && !providers.some(p => p.enabled)) {
+    return { error: 'Enable a provider before requiring SSO for a domain' };
+  }
+
+  const defaultRole = input.defaultRole || '';
+  if (defaultRole && !SSO_ROLES.includes(defaultRole)) return { error: `Default account type must be one of ${SSO_ROLES.join(', ')}` };
+
+  return {
+    settings: {
+      providers,
+      groupMappings,
+      enforcedDomains,
+      autoProvision: !!input.autoProvision,
+      defaultRole
+    }
+  };
+};
+
+module.exports = {
+  SSO_ROLES,
+  randomToken,
+  createPkcePair,
+  emailDomain,
+  discoverOidc,
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  verifyIdToken,
+  fetchUserInfo,
+  extractProfile,
+  mapGroupsToAccess,
+  normalizeSsoSettings
+};
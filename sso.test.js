@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractProfile } = require('./sso');
+
+const provider = { id: 'okta', groupsClaim: 'groups' };
+
+test('reads the email, name and groups from the claims', () => {
+  const profile = extractProfile({
+    sub: 'abc', email: 'Ana@Lab.example', email_verified: true, name: 'Ana', groups: 'lab-admins, techs'
+  }, provider);
+  assert.deepStrictEqual(profile, {
+    subject: 'abc', email: 'ana@lab.example', emailVerified: true, name: 'Ana', groups: ['lab-admins', 'techs']
+  });
+});
+
+test('does not take the email from preferred_username or upn', () => {
+  const profile = extractProfile({ sub: 'abc', preferred_username: 'ana@lab.example', upn: 'ana@lab.example' }, provider);
+  assert.strictEqual(profile.email, '');
+});
+
+test('treats the email as verified only when the IdP says so', () => {
+  assert.strictEqual(extractProfile({ sub: 'abc', email: 'ana@lab.example' }, provider).emailVerified, false);
+  assert.strictEqual(extractProfile({ sub: 'abc', email: 'ana@lab.example', email_verified: false }, provider).emailVerified, false);
+  assert.strictEqual(extractProfile({ sub: 'abc', email: 'ana@lab.example', email_verified: 'true' }, provider).emailVerified, true);
+});
@@ -0,0 +1,268 @@
+/**
+ * Storage Adapter Layer
+ * Wraps the key-value store used by server.js behind a single interface so the
+ * app can run on Replit Database, a local file directory, or in memory.
+ *
+ * Every backend exposes the same async surface the routes already rely on:
+ *   get(key)            -> parsed value or null
+ *   set(key, value)     -> stores a JSON-serialisable value
+ *   delete(key)
+ *   list(prefix)        -> array of keys
+ *
+ * createStorage() adds update(key, mutator), which serialises read-modify-write
+ * cycles per key so two requests rewriting the same collection (e.g.
+ * `tasks_${projectId}`) no longer clobber each other within this process.
+ * Plain set() and delete() queue behind the same per-key lock, so a blind write
+ * never lands in the middle of an update().
+ *
+ * Versioned collections (see options.versioned) also carry a revision counter.
+ * Every write bumps it, and each array item whose content changed is stamped
+ * with `revision` = the new counter, so callers can detect that a specific item
+ * moved on since a client last read it (compare-and-set).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Replit Database backend (production default on Replit)
+ */
+function createReplitBackend() {
+  const Database = require('@replit/database');
+  const client = new Database();
+  return {
+    name: 'replit',
+    get: async (key) => {
+      const value = await client.get(key);
+      return value === undefined ? null : value;
+    },
+    set: async (key, value) => { await client.set(key, value); },
+    delete: async (key) => { await client.delete(key); },
+    list: async (prefix = '') => client.list(prefix)
+  };
+}
+
+/**
+ * Local file backend - one JSON file per key inside `dir`.
+ * Writes go to a temp file first and are renamed into place so a crash
+ * mid-write never leaves a truncated collection behind.
+ */
+function createFileBackend(dir) {
+  const root = path.resolve(dir);
+  fs.mkdirSync(root, { recursive: true });
+
+  const fileFor = (key) => path.join(root, `${encodeURIComponent(key)}.json`);
+
+  return {
+    name: 'file',
+    dir: root,
+    get: async (key) => {
+      try {
+        const raw = await fs.promises.readFile(fileFor(key), 'utf8');
+        if (!raw) return null;
+        const value = JSON.parse(raw);
+        return value === undefined ? null : value;
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    set: async (key, value) => {
+      const target = fileFor(key);
+      const tmp = `${target}.${process.pid}.${Date.now()}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(value));
+      await fs.promises.rename(tmp, target);
+    },
+    delete: async (key) => {
+      try {
+        await fs.promises.unlink(fileFor(key));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    },
+    list: async (prefix = '') => {
+      const files = await fs.promises.readdir(root);
+      return files
+        .filter(f => f.endsWith('.json'))
+        .map(f => decodeURIComponent(f.slice(0, -'.json'.length)))
+        .filter(k => k.startsWith(prefix))
+        .sort();
+    }
+  };
+}
+
+/**
+ * In-memory backend - for local integration tests and throwaway sessions.
+ * Values are stored as JSON strings so callers never share object references.
+ */
+function createMemoryBackend() {
+  const data = new Map();
+  return {
+    name: 'memory',
+    get: async (key) => (data.has(key) ? JSON.parse(data.get(key)) : null),
+    set: async (key, value) => { data.set(key, JSON.stringify(value)); },
+    delete: async (key) => { data.delete(key); },
+    list: async (prefix = '') => [...data.keys()].filter(k => k.startsWith(prefix)).sort()
+  };
+}
+
+// Revision counters live in sidecar keys so the stored collections keep their shape
+const REVISION_KEY_PREFIX = '__rev__';
+
+/**
+ * Thrown when a compare-and-set write finds the collection (or item) has moved on
+ */
+class RevisionConflictError extends Error {
+  constructor(key, currentRevision, current = null) {
+    super(`Revision conflict on ${key}`);
+    this.name = 'RevisionConflictError';
+    this.key = key;
+    this.currentRevision = currentRevision;
+    this.current = current;
+  }
+}
+
+// Stamp `revision` on array items that are new or whose content differs from the previous write
+function stampItemRevisions(previous, next, revision) {
+  if (!Array.isArray(next)) return;
+  const strip = (item) => JSON.stringify({ ...item, revision: undefined });
+  const previousById = new Map();
+  for (const item of (Array.isArray(previous) ? previous : [])) {
+    if (item && item.id !== undefined) previousById.set(String(item.id), strip(item));
+  }
+  for (const item of next) {
+    if (!item || typeof item !== 'object' || item.id === undefined) continue;
+    const before = previousById.get(String(item.id));
+    if (before === undefined || before !== strip(item)) item.revision = revision;
+  }
+}
+
+// Pick a backend: explicit STORAGE_BACKEND wins, otherwise use Replit Database
+// when its URL is available and fall back to the local file store.
+function resolveBackendName(requested) {
+  if (requested && requested !== 'auto') return requested;
+  if (process.env.REPLIT_DB_URL || fs.existsSync('/tmp/replitdb')) return 'replit';
+  return 'file';
+}
+
+/**
+ * Create the storage adapter used by the app
+ * @param {Object} [options]
+ * @param {string} [options.backend] - 'replit' | 'file' | 'memory' | 'auto'
+ * @param {string} [options.fileDir] - Directory for the file backend
+ * @param {string[]} [options.versioned] - Key prefixes that carry revision counters
+ * @returns {Object} Storage with get/set/delete/list/update/getWithRevision
+ */
+function createStorage(options = {}) {
+  const backendName = resolveBackendName(options.backend);
+  let backend;
+  if (backendName === 'replit') {
+    backend = createReplitBackend();
+  } else if (backendName === 'file') {
+    backend = createFileBackend(options.fileDir || path.join(__dirname, 'data'));
+  } else if (backendName === 'memory') {
+    backend = createMemoryBackend();
+  } else {
+    throw new Error(`Unknown storage backend "${backendName}"`);
+  }
+
+  const versionedPrefixes = options.versioned || [];
+  const isVersioned = (key) => versionedPrefixes.some(prefix => key.startsWith(prefix));
+  const readRevision = async (key) => Number(await backend.get(REVISION_KEY_PREFIX + key)) || 0;
+
+  // Per-key promise chains: each update() waits for the previous one on the same key
+  const keyLocks = new Map();
+
+  const withKeyLock = (key, fn) => {
+    const previous = keyLocks.get(key) || Promise.resolve();
+    const run = previous.then(fn, fn);
+    const tail = run.catch(() => {});
+    keyLocks.set(key, tail);
+    tail.then(() => {
+      if (keyLocks.get(key) === tail) keyLocks.delete(key);
+    });
+    return run;
+  };
+
+  // Write a value; for versioned keys bump the counter and stamp changed items.
+  // Callers must already hold the key lock.
+  const writeLocked = async (key, value, previous) => {
+    if (!isVersioned(key)) {
+      await backend.set(key, value);
+      return null;
+    }
+    const revision = (await readRevision(key)) + 1;
+    const before = previous !== undefined ? previous : await backend.get(key);
+    stampItemRevisions(before, value, revision);
+    await backend.set(key, value);
+    await backend.set(REVISION_KEY_PREFIX + key, revision);
+    return revision;
+  };
+
+  return {
+    backend: backend.name,
+    RevisionConflictError,
+    get: (key) => backend.get(key),
+    set: (key, value) => withKeyLock(key, () => writeLocked(key, value)),
+    delete: (key) => withKeyLock(key, () => backend.delete(key)),
+    list: async (prefix = '') => (await backend.list(prefix)).filter(k => !k.startsWith(REVISION_KEY_PREFIX)),
+
+    /**
+     * Read a key together with its collection revision (0 if never written).
+     * Both are read under the key lock so a write can't land between them.
+     * @param {string} key
+     * @returns {Promise<{value: *, revision: number}>}
+     */
+    getWithRevision: (key) => withKeyLock(key, async () => {
+      const value = await backend.get(key);
+      const revision = await readRevision(key);
+      return { value, revision };
+    }),
+
+    /**
+     * Atomically read, modify and write a single key.
+     * The mutator receives the current value (or `defaultValue` when the key is
+     * empty) and may either mutate it in place or return a replacement.
+     * Returning `undefined` keeps the (possibly mutated) current value.
+     * Throwing from the mutator aborts the write.
+     *
+     * For versioned keys, pass options.expectedRevision to compare-and-set the
+     * whole collection; a mismatch throws RevisionConflictError. The mutator
+     * also receives `{ revision }` (the revision it is reading) so it can check
+     * an individual item's `revision` instead. A versioned key the mutator left
+     * unchanged is not rewritten, so its revision stays put.
+     * @param {string} key
+     * @param {Function} mutator - (current, { revision }) => next | undefined, may be async
+     * @param {*} [defaultValue=null]
+     * @param {Object} [updateOptions]
+     * @param {number} [updateOptions.expectedRevision]
+     * @returns {Promise<*>} The value that was written
+     */
+    update: (key, mutator, defaultValue = null, updateOptions = {}) => withKeyLock(key, async () => {
+      const stored = await backend.get(key);
+      const current = stored === null || stored === undefined ? defaultValue : stored;
+      const revision = isVersioned(key) ? await readRevision(key) : null;
+      const { expectedRevision } = updateOptions;
+      if (expectedRevision !== undefined && expectedRevision !== null && Number(expectedRevision) !== revision) {
+        throw new RevisionConflictError(key, revision, current);
+      }
+      // Keep a pristine copy so item revisions are stamped against what was stored
+      const previous = isVersioned(key) ? JSON.parse(JSON.stringify(current)) : undefined;
+      const result = await mutator(current, { revision });
+      const next = result === undefined ? current : result;
+      if (previous !== undefined && JSON.stringify(previous) === JSON.stringify(next)) {
+        return next;
+      }
+      await writeLocked(key, next, previous);
+      return next;
+    })
+  };
+}
+
+module.exports = {
+  createStorage,
+  RevisionConflictError,
+  createReplitBackend,
+  createFileBackend,
+  createMemoryBackend
+};
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStorage, RevisionConflictError } = require('./storage');
+
+const createDb = () => createStorage({ backend: 'memory', versioned: ['tasks_'] });
+
+test('update bumps the revision and stamps changed items', async () => {
+  const db = createDb();
+  await db.update('tasks_1', (tasks) => { tasks.push({ id: 1, taskTitle: 'Install' }); }, []);
+  const { value, revision } = await db.getWithRevision('tasks_1');
+  assert.strictEqual(revision, 1);
+  assert.strictEqual(value[0].revision, 1);
+});
+
+test('update rejects a stale expected revision', async () => {
+  const db = createDb();
+  await db.update('tasks_1', (tasks) => { tasks.push({ id: 1 }); }, []);
+  await assert.rejects(
+    db.update('tasks_1', (tasks) => { tasks.push({ id: 2 }); }, [], { expectedRevision: 0 }),
+    RevisionConflictError
+  );
+});
+
+test('getWithRevision never pairs a value with the wrong revision', async () => {
+  const db = createDb();
+  const write = db.update('tasks_1', (tasks) => { tasks.push({ id: 1 }); }, []);
+  // Start a read on every tick of the write so one lands between the value and its revision
+  const reads = [];
+  for (let tick = 0; tick < 50; tick++) {
+    reads.push(db.getWithRevision('tasks_1'));
+    await Promise.resolve();
+  }
+  await write;
+  for (const { value, revision } of await Promise.all(reads)) {
+    assert.strictEqual((value || []).length, revision);
+  }
+});
@@ -0,0 +1,169 @@
+/**
+ * Template Library & Versioning
+ * Every edit to a template's task list bumps `template.version` and stores a
+ * snapshot in `template_versions_${templateId}`. Projects remember the version
+ * they were created from (`project.templateVersion`), and each task copied from
+ * a template keeps its origin in `templateTaskId`.
+ *
+ * diffProjectAgainstTemplate() compares a project with the latest template,
+ * using the snapshot the project was created from as the common base, so edits
+ * made on the project itself are not mistaken for template changes.
+ *
+ * Templates of kind 'module' are task blocks (e.g. LIS integration, hiring)
+ * stacked onto a base template when a project is created; see
+ * stackTemplateModules().
+ */
+
+// Template fields that a template update is allowed to push into project tasks
+const TEMPLATE_TRACKED_FIELDS = ['taskTitle', 'phase', 'stage', 'clientName', 'showToClient', 'description'];
+
+// Recurring tasks are materialised as "Title (2/12)"; compare on the bare title
+const stripOccurrenceSuffix = (task) => (task.recurrenceIndex && typeof task.taskTitle === 'string'
+  ? task.taskTitle.replace(/ \(\d+\/\d+\)$/, '')
+  : task.taskTitle);
+
+const fieldValue = (task, field) => {
+  const value = field === 'taskTitle' ? stripOccurrenceSuffix(task) : task[field];
+  if (field === 'showToClient') return !!value;
+  return value === undefined || value === null ? '' : value;
+};
+
+/**
+ * Template task id a project task was copied from, or null for tasks added on
+ * the project. Projects created before `templateTaskId` was stamped fall back
+ * to the task id for tasks nobody created by hand.
+ * @param {Object} task
+ * @returns {string|null}
+ */
+const getTemplateTaskId = (task) => {
+  // Tasks stacked in from a module belong to that module, not the project's base template
+  if (task.templateModuleId) return null;
+  if (task.templateTaskId !== undefined && task.templateTaskId !== null) return String(task.templateTaskId);
+  if (task.recurrenceOf !== undefined) return String(task.recurrenceOf);
+  return task.createdBy ? null : String(task.id);
+};
+
+/**
+ * Diff a project's tasks against the latest version of its template.
+ * - added:   template tasks the project does not have yet
+ * - removed: project tasks whose template task was dropped (never deleted, only flagged)
+ * - changed: project tasks whose template task changed; `applicable` is false when
+ *            the task is completed or its field was edited on the project
+ * @param {Object} input
+ * @param {Array} input.projectTasks
+ * @param {Array|null} input.baseTasks - Template tasks at the project's version (null if unknown)
+ * @param {Array} input.latestTasks - Template tasks at the latest version
+ * @returns {{added: Array, removed: Array, changed: Array}}
+ */
+const diffProjectAgainstTemplate = ({ projectTasks, baseTasks, latestTasks }) => {
+  const byTemplateId = new Map();
+  for (const task of projectTasks) {
+    const templateId = getTemplateTaskId(task);
+    if (templateId === null) continue;
+    if (!byTemplateId.has(templateId)) byTemplateId.set(templateId, []);
+    byTemplateId.get(templateId).push(task);
+  }
+  const baseById = new Map((baseTasks || []).map(t => [String(t.id), t]));
+  const latestById = new Map(latestTasks.map(t => [String(t.id), t]));
+
+  // Tasks the project dropped on purpose existed in its base version; only offer genuinely new ones
+  const added = latestTasks.filter(t => !byTemplateId.has(String(t.id)) && (!baseTasks || !baseById.has(String(t.id))));
+
+  const removed = [];
+  const changed = [];
+  for (const [templateId, tasks] of byTemplateId) {
+    const latest = latestById.get(templateId);
+    if (!latest) {
+      // Without a base snapshot we cannot tell template tasks from hand-made ones, so only
+      // flag tasks that the base version actually contained
+      if (baseTasks && !baseById.has(templateId)) continue;
+      for (const task of tasks) {
+        if (task.templateRemoved) continue;
+        removed.push({ id: task.id, taskTitle: task.taskTitle, phase: task.phase, completed: !!task.completed });
+      }
+      continue;
+    }
+    const base = baseById.get(templateId);
+    for (const task of tasks) {
+      const fields = [];
+      let localEdit = false;
+      for (const field of TEMPLATE_TRACKED_FIELDS) {
+        const to = fieldValue(latest, field);
+        const from = base ? fieldValue(base, field) : fieldValue(task, field);
+        if (JSON.stringify(from) === JSON.stringify(to)) continue;
+        const current = fieldValue(task, field);
+        if (JSON.stringify(current) === JSON.stringify(to)) continue;
+        if (JSON.stringify(current) !== JSON.stringify(from)) localEdit = true;
+        fields.push({ field, from: current, to });
+      }
+      if (fields.length === 0) continue;
+      changed.push({
+        id: task.id,
+        templateTaskId: templateId,
+        taskTitle: task.taskTitle,
+        phase: task.phase,
+        completed: !!task.completed,
+        localEdit,
+        applicable: !task.completed && !localEdit,
+        fields
+      });
+    }
+  }
+  return { added, removed, changed };
+};
+
+/**
+ * Write the template's values for the changed fields into a project task.
+ * Recurring occurrences keep their "(n/m)" suffix.
+ * @param {Object} task
+ * @param {Array<{field, to}>} fields
+ * @returns {Object} Updated task
+ */
+const applyTemplateFieldChanges = (task, fields) => {
+  const next = { ...task };
+  for (const { field, to } of fields) {
+    if (field === 'taskTitle' && task.recurrenceIndex) {
+      const suffix = (task.taskTitle || '').match(/ \(\d+\/\d+\)$/);
+      next.taskTitle = `${to}${suffix ? suffix[0] : ''}`;
+    } else {
+      next[field] = to;
+    }
+  }
+  return next;
+};
+
+/**
+ * Append module tasks to a base template's tasks. Module task ids are local to
+ * the module, so each task gets the next free id and its in-module dependencies
+ * are remapped; `templateModuleId` and `templateTaskId` record where it came from.
+ * @param {Array} baseTasks
+ * @param {Array<{id, tasks}>} modules - Templates of kind 'module'
+ * @returns {Array}
+ */
+const stackTemplateModules = (baseTasks, modules) => {
+  const stacked = [...baseTasks];
+  let nextId = Math.max(0, ...baseTasks.map(t => parseInt(t.id, 10) || 0)) + 1;
+  for (const module of modules) {
+    const idMap = {};
+    const moduleTasks = (module.tasks || []).map(task => {
+      idMap[String(task.id)] = nextId;
+      return { ...task, id: nextId++, templateModuleId: module.id, templateTaskId: task.id };
+    });
+    for (const task of moduleTasks) {
+      task.dependencies = (task.dependencies || [])
+        .map(dep => idMap[String(dep)])
+        .filter(dep => dep !== undefined)
+        .map(String);
+    }
+    stacked.push(...moduleTasks);
+  }
+  return stacked;
+};
+
+module.exports = {
+  TEMPLATE_TRACKED_FIELDS,
+  getTemplateTaskId,
+  diffProjectAgainstTemplate,
+  applyTemplateFieldChanges,
+  stackTemplateModules
+};
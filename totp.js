@@ -0,0 +1,160 @@
+/**
+ * Two-Factor Authentication (TOTP)
+ * RFC 6238 time-based one-time passwords, compatible with Google Authenticator,
+ * Microsoft Authenticator, 1Password, Authy, etc. (SHA-1, 6 digits, 30s step).
+ *
+ * A user's 2FA state lives on the user record as `user.mfa`:
+ *   { enabled, secret, pendingSecret, enrolledAt, lastUsedStep, recoveryCodes: [{ hash, usedAt }] }
+ * Secrets are base32 strings (what authenticator apps expect); recovery codes are
+ * only stored as SHA-256 hashes and shown to the user once.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept one step either side to tolerate clock drift on the user's phone
+const TOTP_DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = String(input || '').toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * New random TOTP secret (160 bits, base32)
+ * @returns {string}
+ */
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Current TOTP code for a secret (mainly for diagnostics and scripts)
+ * @param {string} secret - base32
+ * @param {number} [now=Date.now()]
+ * @returns {string}
+ */
+const generateTotp = (secret, now = Date.now()) => hotp(base32Decode(secret), Math.floor(now / 1000 / TOTP_STEP_SECONDS));
+
+/**
+ * Check a TOTP code. Returns the matching time step, or null when the code is
+ * wrong or belongs to a step at or before `lastUsedStep` (prevents replaying a
+ * code that was already accepted).
+ * @param {string} secret - base32
+ * @param {string} code
+ * @param {Object} [options]
+ * @param {number} [options.lastUsedStep]
+ * @param {number} [options.now]
+ * @returns {number|null}
+ */
+const verifyTotp = (secret, code, { lastUsedStep = -1, now = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized) || !secret) return null;
+  const key = base32Decode(secret);
+  const currentStep = Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+  for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift++) {
+    const step = currentStep + drift;
+    if (step <= lastUsedStep) continue;
+    const expected = hotp(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI that authenticator apps import (as a QR code or link)
+ * @param {string} secret
+ * @param {string} accountName - usually the user's email
+ * @param {string} issuer
+ * @returns {string}
+ */
+const buildOtpauthUrl = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * Fresh set of one-time recovery codes ("xxxxx-xxxxx")
+ * @returns {{codes: string[], records: Array<{hash, usedAt}>}} Plain codes to show once, records to store
+ */
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, records: codes.map(code => ({ hash: hashRecoveryCode(code), usedAt: null })) };
+};
+
+/**
+ * Find an unused recovery code record matching `code`
+ * @param {Array<{hash, usedAt}>} records
+ * @param {string} code
+ * @returns {Object|null} The record (caller marks it used)
+ */
+const findRecoveryCode = (records, code) => {
+  if (!normalizeRecoveryCode(code)) return null;
+  const hash = hashRecoveryCode(code);
+  return (records || []).find(r => !r.usedAt && r.hash === hash) || null;
+};
+
+module.exports = {
+  TOTP_STEP_SECONDS,
+  RECOVERY_CODE_COUNT,
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  findRecoveryCode
+};